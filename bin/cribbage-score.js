@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// cribbage-score: score cribbage hands from the command line
+//
+//   cribbage-score "5s 5h 5d jc | 5c"
+//   echo "3s 3h 4s 5s 6s" | cribbage-score --crib --json
+//   cribbage-score --rules fiveCard "5s 5h js | 5c"
+
+const readline = require("readline");
+const {
+  RULESETS,
+  getRuleset,
+  getHandSize,
+  parseCardList,
+  formatCard,
+  scoreHand,
+  describeScore,
+} = require("../cribEngine.js");
+
+const USAGE = `Usage: cribbage-score [--crib] [--json] [--rules NAME] [hand ...]
+
+Scores each hand given as an argument, or one hand per line on stdin.
+A hand is four cards and a cut, e.g. "5s 5h 5d jc | 5c" or "5♠ 5♥ 5♦ J♣ 5♣".
+
+Options:
+  -c, --crib        score as a crib (flush needs all 5 cards)
+  -j, --json        print one JSON object per hand instead of a breakdown
+  -r, --rules NAME  rule variant: ${Object.keys(RULESETS).join(", ")}
+      --flush4      count a 4-card crib flush
+      --heels       add his heels (2 for a cut jack) to the crib
+  -h, --help        show this help`;
+
+function parseArgs(argv) {
+  const options = {
+    isCrib: false,
+    json: false,
+    help: false,
+    rules: RULESETS.standard,
+    hands: [],
+  };
+  // House rule flags apply on top of the preset wherever --rules comes
+  const overrides = {};
+  const args = [...argv];
+  while (args.length > 0) {
+    const arg = args.shift();
+    if (arg === "-r" || arg === "--rules") {
+      const name = args.shift();
+      options.rules = getRuleset(name);
+      if (!options.rules) {
+        throw new Error(`Unknown rules ${name}`);
+      }
+    } else if (arg === "--flush4") {
+      overrides.cribFourFlush = true;
+    } else if (arg === "--heels") {
+      overrides.hisHeels = true;
+    } else if (arg === "-c" || arg === "--crib") {
+      options.isCrib = true;
+    } else if (arg === "-j" || arg === "--json") {
+      options.json = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.hands.push(arg);
+    }
+  }
+  options.rules = { ...options.rules, ...overrides };
+  return options;
+}
+
+// Score one line of input; returns the text to print or throws on bad input
+function scoreLine(line, options) {
+  const handSize = getHandSize(options.isCrib, options.rules);
+  const { hand, cut, errors } = parseCardList(line, handSize);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  if (hand.length !== handSize || !cut) {
+    throw new Error(`Need ${handSize} hand cards and a cut card`);
+  }
+
+  const cards = [...hand, cut];
+  const score = scoreHand(cards, options.isCrib, options.rules);
+
+  if (options.json) {
+    return JSON.stringify({
+      hand: hand.map(formatCard),
+      cut: formatCard(cut),
+      isCrib: options.isCrib,
+      ...score,
+    });
+  }
+
+  const lines = [
+    `${hand.map(formatCard).join(" ")} | ${formatCard(cut)} (${options.isCrib ? "crib" : "hand"})`,
+  ];
+  describeScore(score, options.isCrib).forEach((item) => {
+    lines.push(`  ${item.label} - ${item.details}`);
+    item.claims.forEach((claim) => {
+      lines.push(`    ${claim.cards.join(", ")} (${claim.points})`);
+    });
+  });
+  lines.push(`  Total: ${score.total}`);
+  return lines.join("\n");
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    try {
+      console.log(scoreLine(line, options));
+    } catch (e) {
+      console.error(`${line.trim()}: ${e.message}`);
+      process.exitCode = 1;
+    }
+  };
+
+  if (options.hands.length > 0) {
+    options.hands.forEach(handleLine);
+    return;
+  }
+
+  readline
+    .createInterface({ input: process.stdin, crlfDelay: Infinity })
+    .on("line", handleLine);
+}
+
+main();
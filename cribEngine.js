@@ -0,0 +1,1590 @@
+// Cribbage Scoring Engine
+// Standard 52-card deck scoring with no DOM access, shared by the page
+// (as browser globals) and Node (as a CommonJS module)
+// Descriptions come from cribI18n.js in the current language
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./cribI18n.js"));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function (i18n) {
+  const { t, formatRankLabel, localizeCardText } = i18n;
+
+  // Card data structure: { rank: 'A'|'2'|...|'K', suit: '♠'|'♥'|'♦'|'♣' }
+  const RANKS = [
+    "A",
+    "2",
+    "3",
+    "4",
+    "5",
+    "6",
+    "7",
+    "8",
+    "9",
+    "10",
+    "J",
+    "Q",
+    "K",
+  ];
+  const SUITS = ["♠", "♥", "♦", "♣"];
+
+  // Initialize deck
+  const DECK = [];
+  RANKS.forEach((rank) => {
+    SUITS.forEach((suit) => {
+      DECK.push({ rank, suit });
+    });
+  });
+
+  // Get card value for fifteens (A=1, 2-10 face value, J/Q/K=10)
+  function getCardValue(card) {
+    if (card.rank === "A") return 1;
+    if (["J", "Q", "K"].includes(card.rank)) return 10;
+    return parseInt(card.rank);
+  }
+
+  // Alternate spellings accepted when typing suits
+  const SUIT_ALIASES = {
+    S: "♠",
+    H: "♥",
+    D: "♦",
+    C: "♣",
+    "♤": "♠",
+    "♡": "♥",
+    "♢": "♦",
+    "♧": "♣",
+  };
+
+  // Parse card string "A♠" to { rank: 'A', suit: '♠' }
+  // Also accepts ASCII suits, T for 10 and any case: "as", "10H", "Td", "t♥"
+  function parseCard(cardString) {
+    if (!cardString) return null;
+    const text = cardString
+      .trim()
+      .replace(/\uFE0F/g, "")
+      .toUpperCase();
+    let suit = text.slice(-1);
+    let rank = text.slice(0, -1);
+    suit = SUIT_ALIASES[suit] || suit;
+    if (rank === "T") rank = "10";
+    if (RANKS.includes(rank) && SUITS.includes(suit)) {
+      return { rank, suit };
+    }
+    return null;
+  }
+
+  // Parse typed cards like "5s 5h 5d jc | 5c" into hand cards and a cut
+  // Without a "|" the card after a full hand is taken as the cut
+  function parseCardList(text, handSize = 4) {
+    const errors = [];
+    const [handText, cutText, ...extra] = text.split("|");
+    if (extra.length > 0) {
+      errors.push(t("parse.oneBar"));
+    }
+
+    const tokenize = (part) => (part || "").split(/[\s,]+/).filter(Boolean);
+    let handTokens = tokenize(handText);
+    let cutTokens = tokenize(cutText);
+    if (cutText === undefined && handTokens.length === handSize + 1) {
+      cutTokens = handTokens.slice(handSize);
+      handTokens = handTokens.slice(0, handSize);
+    }
+
+    const seen = new Set();
+    const toCards = (tokens) =>
+      tokens.map((token) => {
+        const card = parseCard(token);
+        if (!card) {
+          errors.push(t("parse.notACard", { token }));
+          return null;
+        }
+        const key = formatCard(card);
+        if (seen.has(key)) {
+          errors.push(t("parse.duplicate", { card: localizeCardText(key) }));
+        }
+        seen.add(key);
+        return card;
+      });
+
+    const hand = toCards(handTokens);
+    const cut = toCards(cutTokens);
+
+    if (hand.length > handSize) {
+      errors.push(t("parse.handSize", { size: handSize, count: hand.length }));
+    }
+    if (cut.length > 1) {
+      errors.push(t("parse.cutCount", { count: cut.length }));
+    }
+
+    return { hand, cut: cut[0] || null, errors };
+  }
+
+  // Format card object to string
+  function formatCard(card) {
+    if (!card) return "";
+    return `${card.rank}${card.suit}`;
+  }
+
+  // English names for screen readers: "five of hearts" (getCardName
+  // translates them)
+  const RANK_NAMES = {
+    A: "ace",
+    2: "two",
+    3: "three",
+    4: "four",
+    5: "five",
+    6: "six",
+    7: "seven",
+    8: "eight",
+    9: "nine",
+    10: "ten",
+    J: "jack",
+    Q: "queen",
+    K: "king",
+  };
+  const SUIT_NAMES = {
+    "♠": "spades",
+    "♥": "hearts",
+    "♦": "diamonds",
+    "♣": "clubs",
+  };
+
+  function getCardName(card) {
+    if (!card) return "";
+    return t("card.name", {
+      rank: t(`rankName.${card.rank}`),
+      suit: t(`suitName.${SUIT_NAMES[card.suit]}`),
+    });
+  }
+
+  // Score fifteens: all combinations that sum to 15
+  function scoreFifteens(cards) {
+    const n = cards.length;
+    let totalPoints = 0;
+    const combinations = [];
+
+    // Generate all non-empty subsets
+    for (let mask = 1; mask < 1 << n; mask++) {
+      const combo = [];
+      let sum = 0;
+      for (let i = 0; i < n; i++) {
+        if (mask & (1 << i)) {
+          combo.push(cards[i]);
+          sum += getCardValue(cards[i]);
+        }
+      }
+      if (sum === 15) {
+        totalPoints += 2;
+        combinations.push(combo.map(formatCard));
+      }
+    }
+
+    return { points: totalPoints, combinations };
+  }
+
+  // Score pairs: 2 for pair, 6 for three-of-a-kind, 12 for four-of-a-kind.
+  // combinations lists the two cards of every pair counted
+  function scorePairs(cards) {
+    const rankGroups = {};
+    cards.forEach((card) => {
+      if (!rankGroups[card.rank]) rankGroups[card.rank] = [];
+      rankGroups[card.rank].push(card);
+    });
+
+    let totalPoints = 0;
+    const pairs = [];
+    const combinations = [];
+
+    Object.entries(rankGroups).forEach(([rank, group]) => {
+      const count = group.length;
+      if (count >= 2) {
+        for (let i = 0; i < count; i++) {
+          for (let j = i + 1; j < count; j++) {
+            combinations.push([formatCard(group[i]), formatCard(group[j])]);
+          }
+        }
+        let points = 0;
+        if (count === 2) {
+          points = 2;
+          pairs.push(t("pairs.pair", { rank: formatRankLabel(rank) }));
+        } else if (count === 3) {
+          points = 6; // 3 choose 2 = 3 pairs, each worth 2
+          pairs.push(t("pairs.three", { rank: formatRankLabel(rank) }));
+        } else if (count === 4) {
+          points = 12; // 4 choose 2 = 6 pairs, each worth 2
+          pairs.push(t("pairs.four", { rank: formatRankLabel(rank) }));
+        }
+        totalPoints += points;
+      }
+    });
+
+    return { points: totalPoints, pairs, combinations };
+  }
+
+  // Get numeric rank for run detection (A=1, 2-10 face value, J=11, Q=12, K=13)
+  function getNumericRank(card) {
+    if (card.rank === "A") return 1;
+    if (card.rank === "J") return 11;
+    if (card.rank === "Q") return 12;
+    if (card.rank === "K") return 13;
+    return parseInt(card.rank);
+  }
+
+  // Score runs: detect runs of 3, 4, or 5 cards
+  // In cribbage, you score the longest run, with multiplier based on duplicates.
+  // cards lists every card in the run; combinations splits a duplicated run
+  // into the individual runs it counts (one card of each rank)
+  function scoreRuns(cards) {
+    if (cards.length < 3) return { points: 0, runs: [] };
+
+    // Group by rank to handle duplicates
+    const rankGroups = {};
+    cards.forEach((card) => {
+      const rank = getNumericRank(card);
+      if (!rankGroups[rank]) {
+        rankGroups[rank] = [];
+      }
+      rankGroups[rank].push(card);
+    });
+
+    const ranks = Object.keys(rankGroups)
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    // Find the longest run (cribbage rules: score only the longest run)
+    let bestRun = null;
+    let bestLength = 0;
+
+    // Check for runs of 5
+    if (ranks.length >= 5) {
+      for (let i = 0; i <= ranks.length - 5; i++) {
+        if (ranks[i + 4] === ranks[i] + 4) {
+          let multiplier = 1;
+          const runRanks = [];
+          for (let j = 0; j < 5; j++) {
+            const rank = ranks[i + j];
+            runRanks.push(rank);
+            multiplier *= rankGroups[rank].length;
+          }
+          if (5 > bestLength) {
+            bestLength = 5;
+            bestRun = { length: 5, multiplier, ranks: runRanks };
+          }
+        }
+      }
+    }
+
+    // Check for runs of 4 (only if no run of 5 found)
+    if (bestLength < 4 && ranks.length >= 4) {
+      for (let i = 0; i <= ranks.length - 4; i++) {
+        if (ranks[i + 3] === ranks[i] + 3) {
+          let multiplier = 1;
+          const runRanks = [];
+          for (let j = 0; j < 4; j++) {
+            const rank = ranks[i + j];
+            runRanks.push(rank);
+            multiplier *= rankGroups[rank].length;
+          }
+          if (4 > bestLength) {
+            bestLength = 4;
+            bestRun = { length: 4, multiplier, ranks: runRanks };
+          }
+        }
+      }
+    }
+
+    // Check for runs of 3 (only if no run of 4 or 5 found)
+    if (bestLength < 3 && ranks.length >= 3) {
+      for (let i = 0; i <= ranks.length - 3; i++) {
+        if (ranks[i + 2] === ranks[i] + 2) {
+          let multiplier = 1;
+          const runRanks = [];
+          for (let j = 0; j < 3; j++) {
+            const rank = ranks[i + j];
+            runRanks.push(rank);
+            multiplier *= rankGroups[rank].length;
+          }
+          if (3 > bestLength) {
+            bestLength = 3;
+            bestRun = { length: 3, multiplier, ranks: runRanks };
+          }
+        }
+      }
+    }
+
+    if (!bestRun) {
+      return { points: 0, runs: [] };
+    }
+
+    // Build the cards list for display
+    const runCards = [];
+    bestRun.ranks.forEach((rank) => {
+      runCards.push(...rankGroups[rank]);
+    });
+
+    let combinations = [[]];
+    bestRun.ranks.forEach((rank) => {
+      combinations = combinations.flatMap((combo) =>
+        rankGroups[rank].map((card) => [...combo, formatCard(card)]),
+      );
+    });
+
+    const totalPoints = bestRun.length * bestRun.multiplier;
+    const runs = [
+      {
+        length: bestRun.length,
+        multiplier: bestRun.multiplier,
+        cards: runCards.map(formatCard),
+        combinations,
+      },
+    ];
+
+    return { points: totalPoints, runs };
+  }
+
+  // Rule variants read by scoreHand and the page. handSize is the number of
+  // cards kept in a hand (a crib always holds 4). cribFourFlush lets a crib
+  // flush count without the cut, hisHeels adds the dealer's 2 for a cut jack
+  // to the crib count, and lowball means the lowest count is best (and the
+  // first to the game hole loses). Three- and four-player games keep four
+  // cards each and count like the standard game, so they need no preset
+  const RULESETS = {
+    standard: {
+      id: "standard",
+      name: "Standard (2 to 4 players)",
+      handSize: 4,
+      cribFourFlush: false,
+      hisHeels: false,
+      lowball: false,
+    },
+    fiveCard: {
+      id: "fiveCard",
+      name: "Five-card",
+      handSize: 3,
+      cribFourFlush: false,
+      hisHeels: false,
+      lowball: false,
+    },
+    lowball: {
+      id: "lowball",
+      name: "Lowball",
+      handSize: 4,
+      cribFourFlush: false,
+      hisHeels: false,
+      lowball: true,
+    },
+  };
+
+  // The preset with this id, or null; only the table's own keys count, so
+  // ids like "toString" from a URL or a file are rejected
+  function getRuleset(id) {
+    return Object.prototype.hasOwnProperty.call(RULESETS, id)
+      ? RULESETS[id]
+      : null;
+  }
+
+  const CRIB_SIZE = 4;
+
+  // Cards held before the cut for a hand or crib under the given rules
+  function getHandSize(isCrib = false, rules = RULESETS.standard) {
+    return isCrib ? CRIB_SIZE : rules.handSize;
+  }
+
+  // Score flush: every hand card the same suit scores one per card, plus one
+  // if the cut matches. A crib needs the cut too unless cribFourFlush is set
+  function scoreFlush(cards, isCrib, rules = RULESETS.standard) {
+    const handSize = getHandSize(isCrib, rules);
+    if (cards.length < handSize) return { points: 0 };
+
+    const handCards = cards.slice(0, handSize);
+    const cutCard = cards[handSize];
+
+    // Check if all hand cards have same suit
+    const firstSuit = handCards[0].suit;
+    const isHandFlush = handCards.every((card) => card.suit === firstSuit);
+
+    if (!isHandFlush) return { points: 0 };
+
+    if (cutCard && cutCard.suit === firstSuit) {
+      return {
+        points: handSize + 1,
+        withCut: true,
+        cards: [...handCards, cutCard].map(formatCard),
+      };
+    }
+
+    if (isCrib && !rules.cribFourFlush) {
+      return { points: 0 };
+    }
+
+    return {
+      points: handSize,
+      withCut: false,
+      cards: handCards.map(formatCard),
+    };
+  }
+
+  // Score nobs: jack in hand matching cut suit = 1 point. cards holds the
+  // jack and the cut it matches
+  function scoreNobs(cards, handSize = CRIB_SIZE) {
+    if (cards.length < handSize + 1) return { points: 0 };
+
+    const handCards = cards.slice(0, handSize);
+    const cutCard = cards[handSize];
+
+    if (!cutCard) return { points: 0 };
+
+    // Any jack in hand can be his nobs, not just the first one
+    const jackInHand = handCards.find(
+      (card) => card.rank === "J" && card.suit === cutCard.suit,
+    );
+    if (jackInHand) {
+      return {
+        points: 1,
+        card: formatCard(jackInHand),
+        cards: [formatCard(jackInHand), formatCard(cutCard)],
+      };
+    }
+
+    return { points: 0 };
+  }
+
+  // His heels: the dealer's 2 for a jack cut, counted with the crib when the
+  // rules say so (otherwise it is pegged at the cut and not part of any count)
+  function scoreHeels(cards, isCrib, rules = RULESETS.standard) {
+    const cutCard = cards[getHandSize(isCrib, rules)];
+    if (isCrib && rules.hisHeels && cutCard && cutCard.rank === "J") {
+      return { points: 2, card: formatCard(cutCard) };
+    }
+    return { points: 0 };
+  }
+
+  // Main scoring function: the hand (or crib) cards followed by the cut
+  function scoreHand(cards, isCrib = false, rules = RULESETS.standard) {
+    const handSize = getHandSize(isCrib, rules);
+    if (!cards || cards.length !== handSize + 1 || cards.some((c) => !c)) {
+      return null;
+    }
+
+    const fifteens = scoreFifteens(cards);
+    const pairs = scorePairs(cards);
+    const runs = scoreRuns(cards);
+    const flush = scoreFlush(cards, isCrib, rules);
+    const nobs = scoreNobs(cards, handSize);
+    const heels = scoreHeels(cards, isCrib, rules);
+
+    const total =
+      fifteens.points +
+      pairs.points +
+      runs.points +
+      flush.points +
+      nobs.points +
+      heels.points;
+
+    return {
+      total,
+      fifteens,
+      pairs,
+      runs,
+      flush,
+      nobs,
+      heels,
+    };
+  }
+
+  // Describe each scoring category for display, skipping ones worth nothing.
+  // claims breaks a category into the individual scores that make it up
+  // (each fifteen, pair, run...), with the cards behind each one
+  function describeScore(score, isCrib = false) {
+    const items = [];
+
+    if (score.fifteens.points > 0) {
+      items.push({
+        category: "fifteens",
+        label: t("describe.fifteens", { count: score.fifteens.points }),
+        details: t("describe.combinations", {
+          count: score.fifteens.combinations.length,
+        }),
+        claims: score.fifteens.combinations.map((cards) => ({
+          cards,
+          points: 2,
+        })),
+      });
+    }
+
+    if (score.pairs.points > 0) {
+      items.push({
+        category: "pairs",
+        label: t("describe.pairs", { count: score.pairs.points }),
+        details: score.pairs.pairs.join(", "),
+        claims: score.pairs.combinations.map((cards) => ({ cards, points: 2 })),
+      });
+    }
+
+    if (score.runs.points > 0) {
+      const runDescriptions = score.runs.runs.map((run) => {
+        if (run.multiplier > 1) {
+          return t("describe.runMultiplier", {
+            length: run.length,
+            multiplier: run.multiplier,
+          });
+        }
+        return t("describe.run", { length: run.length });
+      });
+      items.push({
+        category: "runs",
+        label: t("describe.runs", { count: score.runs.points }),
+        details: runDescriptions.join(", "),
+        claims: score.runs.runs.flatMap((run) =>
+          run.combinations.map((cards) => ({ cards, points: run.length })),
+        ),
+      });
+    }
+
+    if (score.flush.points > 0) {
+      items.push({
+        category: "flush",
+        label: t("describe.flush", { count: score.flush.points }),
+        details: t(
+          score.flush.withCut
+            ? isCrib
+              ? "describe.flushCrib"
+              : "describe.flushHandCut"
+            : isCrib
+              ? "describe.flushCribFour"
+              : "describe.flushHand",
+        ),
+        claims: [{ cards: score.flush.cards, points: score.flush.points }],
+      });
+    }
+
+    if (score.nobs.points > 0) {
+      items.push({
+        category: "nobs",
+        label: t("describe.nobs", { count: score.nobs.points }),
+        details: t("describe.nobsDetails", {
+          card: localizeCardText(score.nobs.card),
+        }),
+        claims: [{ cards: score.nobs.cards, points: score.nobs.points }],
+      });
+    }
+
+    if (score.heels.points > 0) {
+      items.push({
+        category: "heels",
+        label: t("describe.heels", { count: score.heels.points }),
+        details: t("describe.heelsDetails", {
+          card: localizeCardText(score.heels.card),
+        }),
+        claims: [{ cards: [score.heels.card], points: score.heels.points }],
+      });
+    }
+
+    return items;
+  }
+
+  // Count narration
+
+  const RUN_NARRATIONS = {
+    1: "narrate.run",
+    2: "narrate.doubleRun",
+    3: "narrate.tripleRun",
+    4: "narrate.doubleDoubleRun",
+  };
+  const PAIR_NARRATIONS = {
+    1: "narrate.pair",
+    3: "narrate.pairRoyal",
+    6: "narrate.doublePairRoyal",
+  };
+
+  // Spelled out ("fifteen two"), or digits past the words in the catalog
+  function getNumberWord(n) {
+    const key = `number.${n}`;
+    const word = t(key);
+    return word === key ? String(n) : word;
+  }
+
+  // The count as said aloud at the table, in the usual order with a running
+  // total: "fifteen two, fifteen four, and a pair is six"
+  function narrateScore(score) {
+    let total = 0;
+    const phrases = [];
+    const say = (points, key, params = {}) => {
+      total += points;
+      phrases.push(t(key, { ...params, total: getNumberWord(total) }));
+    };
+
+    score.fifteens.combinations.forEach(() => say(2, "narrate.fifteen"));
+    const fifteenCount = phrases.length;
+
+    // Pairs of one rank make a pair, a pair royal or a double pair royal
+    const pairsByRank = {};
+    score.pairs.combinations.forEach(([card]) => {
+      const { rank } = parseCard(card);
+      pairsByRank[rank] = (pairsByRank[rank] || 0) + 1;
+    });
+    Object.values(pairsByRank).forEach((count) => {
+      say(count * 2, PAIR_NARRATIONS[count]);
+    });
+
+    score.runs.runs.forEach((run) => {
+      say(run.length * run.multiplier, RUN_NARRATIONS[run.multiplier], {
+        length: getNumberWord(run.length),
+      });
+    });
+    if (score.flush.points > 0) {
+      say(score.flush.points, "narrate.flush", {
+        length: getNumberWord(score.flush.points),
+      });
+    }
+    if (score.nobs.points > 0) say(score.nobs.points, "narrate.nobs");
+    if (score.heels.points > 0) say(score.heels.points, "narrate.heels");
+
+    if (phrases.length === 0) return t("narrate.nothing");
+    // The fifteens run together; everything after them is "and ..."
+    return phrases
+      .map((phrase, i) =>
+        i < Math.max(fifteenCount, 1) ? phrase : t("narrate.and", { phrase }),
+      )
+      .join(", ");
+  }
+
+  // Muggins: compare a claimed count with the real one, category by category
+
+  const SCORE_CATEGORIES = [
+    "fifteens",
+    "pairs",
+    "runs",
+    "flush",
+    "nobs",
+    "heels",
+  ];
+
+  // claim maps categories to claimed points; missing categories count as 0.
+  // The opponent takes every missed point, over-claims are only struck off
+  function compareClaim(score, claim) {
+    const categories = SCORE_CATEGORIES.map((category) => {
+      const actual = score[category].points;
+      const claimed = claim[category] || 0;
+      return {
+        category,
+        claimed,
+        actual,
+        missed: Math.max(0, actual - claimed),
+        overClaimed: Math.max(0, claimed - actual),
+      };
+    });
+    const sum = (key) => categories.reduce((total, c) => total + c[key], 0);
+
+    return {
+      categories,
+      claimed: sum("claimed"),
+      missed: sum("missed"),
+      overClaimed: sum("overClaimed"),
+    };
+  }
+
+  // Card to a URL-friendly code like "5s" or "th"
+  function toCardCode(card) {
+    const rank = card.rank === "10" ? "t" : card.rank.toLowerCase();
+    const suit = Object.keys(SUIT_ALIASES).find(
+      (alias) => SUIT_ALIASES[alias] === card.suit,
+    );
+    return `${rank}${suit.toLowerCase()}`;
+  }
+
+  // Batch scoring
+
+  // Enumerations score millions of hands, so this path works on integer
+  // cards (the card's index in DECK: rank index * 4 + suit index) and builds
+  // no strings or objects per hand
+  function encodeCard(card) {
+    return RANKS.indexOf(card.rank) * SUITS.length + SUITS.indexOf(card.suit);
+  }
+
+  const JACK_INDEX = RANKS.indexOf("J");
+  const RANK_VALUES = RANKS.map((rank) => getCardValue({ rank }));
+
+  // Fifteens, pairs and runs only depend on ranks, so every hand that is the
+  // same up to a relabelling of suits (or card order) shares one cache entry,
+  // keyed by its sorted ranks as base-14 digits 1-13. Entries pack fifteens,
+  // pairs, run length and run multiplier; -1 until first needed
+  const RANK_KEY_BASE = RANKS.length + 1;
+  let rankScoreCache = null; // created on first use (about 1 MB)
+  const sortedRanks = new Int8Array(5);
+  const distinctRanks = new Int8Array(5);
+  const rankCounts = new Int8Array(5);
+  const fifteenWays = new Int32Array(16);
+
+  function scoreSortedRanks(n) {
+    // Fifteens: count the subsets adding up to 15
+    fifteenWays.fill(0);
+    fifteenWays[0] = 1;
+    for (let i = 0; i < n; i++) {
+      const value = RANK_VALUES[sortedRanks[i]];
+      for (let sum = 15; sum >= value; sum--) {
+        fifteenWays[sum] += fifteenWays[sum - value];
+      }
+    }
+
+    // Pairs: two points for every two cards of a rank
+    let pairs = 0;
+    let distinct = 0;
+    for (let i = 0; i < n; i++) {
+      if (distinct > 0 && distinctRanks[distinct - 1] === sortedRanks[i]) {
+        pairs += rankCounts[distinct - 1] * 2;
+        rankCounts[distinct - 1]++;
+      } else {
+        distinctRanks[distinct] = sortedRanks[i];
+        rankCounts[distinct] = 1;
+        distinct++;
+      }
+    }
+
+    // Runs: the longest stretch of consecutive ranks, once per way to make it
+    let runLength = 0;
+    let runMultiplier = 0;
+    let start = 0;
+    for (let i = 1; i <= distinct; i++) {
+      if (i < distinct && distinctRanks[i] === distinctRanks[i - 1] + 1) {
+        continue;
+      }
+      if (i - start >= 3 && i - start > runLength) {
+        runLength = i - start;
+        runMultiplier = 1;
+        for (let j = start; j < i; j++) runMultiplier *= rankCounts[j];
+      }
+      start = i;
+    }
+
+    return (
+      fifteenWays[15] * 2 * 1024 + pairs * 64 + runLength * 8 + runMultiplier
+    );
+  }
+
+  // Score integer cards (hand then cut). Returns the total, and fills in
+  // breakdown when one is passed
+  function scoreEncodedHand(codes, isCrib, rules, breakdown = null) {
+    const n = codes.length;
+    const handSize = n - 1;
+    const cut = codes[handSize];
+    const cutSuit = cut % SUITS.length;
+
+    // Insertion sort of the ranks for the cache key
+    for (let i = 0; i < n; i++) {
+      const rank = (codes[i] / SUITS.length) | 0;
+      let j = i;
+      while (j > 0 && sortedRanks[j - 1] > rank) {
+        sortedRanks[j] = sortedRanks[j - 1];
+        j--;
+      }
+      sortedRanks[j] = rank;
+    }
+    let key = 0;
+    for (let i = 0; i < n; i++) key = key * RANK_KEY_BASE + sortedRanks[i] + 1;
+
+    if (!rankScoreCache) {
+      rankScoreCache = new Int16Array(RANK_KEY_BASE ** 5).fill(-1);
+    }
+    let packed = rankScoreCache[key];
+    if (packed === -1) {
+      packed = scoreSortedRanks(n);
+      rankScoreCache[key] = packed;
+    }
+
+    // Flush, nobs and heels are the only points that look at suits
+    const firstSuit = codes[0] % SUITS.length;
+    let sameSuit = true;
+    let nobs = 0;
+    for (let i = 0; i < handSize; i++) {
+      const suit = codes[i] % SUITS.length;
+      if (suit !== firstSuit) sameSuit = false;
+      const rank = (codes[i] / SUITS.length) | 0;
+      if (rank === JACK_INDEX && suit === cutSuit) nobs = 1;
+    }
+    let flush = 0;
+    if (sameSuit) {
+      if (firstSuit === cutSuit) {
+        flush = handSize + 1;
+      } else if (!isCrib || rules.cribFourFlush) {
+        flush = handSize;
+      }
+    }
+    const cutIsJack = ((cut / SUITS.length) | 0) === JACK_INDEX;
+    const heels = isCrib && rules.hisHeels && cutIsJack ? 2 : 0;
+
+    const fifteens = packed >> 10;
+    const pairs = (packed >> 6) & 15;
+    const runLength = (packed >> 3) & 7;
+    const runMultiplier = packed & 7;
+    const runs = runLength * runMultiplier;
+    const total = fifteens + pairs + runs + flush + nobs + heels;
+
+    if (breakdown) {
+      breakdown.total = total;
+      breakdown.fifteens = fifteens;
+      breakdown.pairs = pairs;
+      breakdown.runs = runs;
+      breakdown.runLength = runLength;
+      breakdown.runMultiplier = runMultiplier;
+      breakdown.flush = flush;
+      breakdown.nobs = nobs;
+      breakdown.heels = heels;
+    }
+    return total;
+  }
+
+  const BATCH_PROGRESS_STEP = 65536; // hands between onProgress calls
+
+  // Score many hands at once. Each entry is the hand cards then the cut, as
+  // card objects or encodeCard integers. Returns the totals in a Uint8Array,
+  // or with breakdown set one { total, fifteens, pairs, runs, runLength,
+  // runMultiplier, flush, nobs, heels } per hand. Like scoreHand, a hand of
+  // the wrong size gives null (for the whole batch)
+  function scoreHands(
+    list,
+    isCrib = false,
+    { rules = RULESETS.standard, breakdown = false, onProgress = null } = {},
+  ) {
+    const size = getHandSize(isCrib, rules) + 1;
+    if (list.some((cards) => !cards || cards.length !== size)) return null;
+
+    const codes = new Int8Array(size);
+    const results = breakdown ? new Array(list.length) : null;
+    const totals = breakdown ? null : new Uint8Array(list.length);
+
+    for (let i = 0; i < list.length; i++) {
+      const cards = list[i];
+      for (let j = 0; j < size; j++) {
+        const card = cards[j];
+        codes[j] = typeof card === "number" ? card : encodeCard(card);
+      }
+      if (breakdown) {
+        results[i] = {};
+        scoreEncodedHand(codes, isCrib, rules, results[i]);
+      } else {
+        totals[i] = scoreEncodedHand(codes, isCrib, rules);
+      }
+      if (
+        onProgress &&
+        ((i + 1) % BATCH_PROGRESS_STEP === 0 || i + 1 === list.length)
+      ) {
+        onProgress(i + 1, list.length);
+      }
+    }
+    return breakdown ? results : totals;
+  }
+
+  // Score distribution
+
+  const MAX_HAND_SCORE = 29;
+  const HAND_COMBINATIONS = 12994800; // C(52,4) hands x 48 cuts
+  // Totals no hand and cut can make: the zero counts of
+  // countScoreDistribution, which the tests check
+  const IMPOSSIBLE_SCORES = [19, 25, 26, 27];
+
+  // Call visit(codes) for every 4-card hand with every cut (cut last), as
+  // encodeCard integers. The Int8Array is reused between calls, so copy it to
+  // keep it. onProgress(done, total) is called as each first card is finished
+  function forEachEncodedHandAndCut(visit, onProgress = null) {
+    const n = DECK.length;
+    const codes = new Int8Array(5);
+    let done = 0;
+
+    for (let a = 0; a < n; a++) {
+      codes[0] = a;
+      for (let b = a + 1; b < n; b++) {
+        codes[1] = b;
+        for (let c = b + 1; c < n; c++) {
+          codes[2] = c;
+          for (let d = c + 1; d < n; d++) {
+            codes[3] = d;
+            for (let cut = 0; cut < n; cut++) {
+              if (cut === a || cut === b || cut === c || cut === d) continue;
+              codes[4] = cut;
+              visit(codes);
+              done++;
+            }
+          }
+        }
+      }
+      if (onProgress) onProgress(done, HAND_COMBINATIONS);
+    }
+  }
+
+  // Same enumeration with card objects
+  // The cards array is reused between calls, so copy it to keep it
+  function forEachHandAndCut(visit, onProgress = null) {
+    const cards = new Array(5);
+    forEachEncodedHandAndCut((codes) => {
+      for (let i = 0; i < 5; i++) cards[i] = DECK[codes[i]];
+      visit(cards);
+    }, onProgress);
+  }
+
+  // Count how many of the 12,994,800 hand+cut combinations score each total
+  function countScoreDistribution(isCrib = false, onProgress = null) {
+    const counts = new Array(MAX_HAND_SCORE + 1).fill(0);
+    forEachEncodedHandAndCut((codes) => {
+      counts[scoreEncodedHand(codes, isCrib, RULESETS.standard)]++;
+    }, onProgress);
+    return counts;
+  }
+
+  // Percentage of combinations in a distribution scoring less than total
+  // (more than total under lowball, where low counts are best)
+  function getScorePercentile(counts, total, lowball = false) {
+    const all = counts.reduce((sum, count) => sum + count, 0);
+    const beaten = lowball ? counts.slice(total + 1) : counts.slice(0, total);
+    const below = beaten.reduce((sum, count) => sum + count, 0);
+    return all > 0 ? (below / all) * 100 : 0;
+  }
+
+  // Score reference: the category breakdowns real hands produce
+
+  // Points per category plus the run shape, e.g. a double run of 3
+  function getBreakdownParts(score) {
+    const run = score.runs.runs[0];
+    return {
+      fifteens: score.fifteens.points,
+      pairs: score.pairs.points,
+      runLength: run ? run.length : 0,
+      runMultiplier: run ? run.multiplier : 0,
+      flush: score.flush.points,
+      nobs: score.nobs.points,
+    };
+  }
+
+  // The same from a scoreHands breakdown
+  function getBatchBreakdownParts(breakdown) {
+    return {
+      fifteens: breakdown.fifteens,
+      pairs: breakdown.pairs,
+      runLength: breakdown.runLength,
+      runMultiplier: breakdown.runMultiplier,
+      flush: breakdown.flush,
+      nobs: breakdown.nobs,
+    };
+  }
+
+  function labelFifteens(p) {
+    if (p === 0) return "";
+    const n = p / 2;
+    return n === 1
+      ? t("label.fifteensOne")
+      : t("label.fifteens", { count: n, points: p });
+  }
+  function labelPairs(p) {
+    if (p === 0) return "";
+    if (p === 2) return t("label.pair");
+    if (p === 4) return t("label.twoPairs");
+    if (p === 6) return t("label.threeOfAKind");
+    if (p === 8) return t("label.threeOfAKindPair");
+    return t("label.fourOfAKind");
+  }
+  function labelRuns(length, multiplier) {
+    if (length === 0) return "";
+    const points = length * multiplier;
+    if (multiplier === 1) return t("label.run", { length, points });
+    if (multiplier === 2) return t("label.doubleRun", { length, points });
+    if (multiplier === 3) return t("label.tripleRun", { length, points });
+    return t("label.doubleDoubleRun", { length, points });
+  }
+  function labelFlush(p, isCrib = false) {
+    if (p === 0) return "";
+    if (isCrib) return t("label.cribFlush");
+    return p === 4 ? t("label.handFlush") : t("label.handCutFlush");
+  }
+  function labelNobs(p) {
+    return p === 1 ? t("label.nobs") : "";
+  }
+
+  // "2 15s (4) + Pair (2) + Double run of 4 (8)"
+  function labelBreakdown(parts, isCrib = false) {
+    return [
+      labelFifteens(parts.fifteens),
+      labelPairs(parts.pairs),
+      labelRuns(parts.runLength, parts.runMultiplier),
+      labelFlush(parts.flush, isCrib),
+      labelNobs(parts.nobs),
+    ]
+      .filter(Boolean)
+      .join(" + ");
+  }
+
+  // Parts that tell breakdowns apart (each is under 32)
+  const BREAKDOWN_KEY_PARTS = [
+    "fifteens",
+    "pairs",
+    "runLength",
+    "runMultiplier",
+    "flush",
+    "nobs",
+  ];
+
+  // Every distinct breakdown real hands produce, with how many hand+cut
+  // combinations give it and the first example found (cut last)
+  function collectScoreBreakdowns(isCrib = false, onProgress = null) {
+    const byKey = new Map();
+
+    const score = {};
+    forEachEncodedHandAndCut((codes) => {
+      scoreEncodedHand(codes, isCrib, RULESETS.standard, score);
+      const key = BREAKDOWN_KEY_PARTS.reduce(
+        (acc, part) => acc * 32 + score[part],
+        0,
+      );
+
+      const entry = byKey.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        byKey.set(key, {
+          total: score.total,
+          parts: getBatchBreakdownParts(score),
+          count: 1,
+          example: Array.from(codes, (code) => formatCard(DECK[code])),
+        });
+      }
+    }, onProgress);
+
+    return [...byKey.values()].sort(
+      (a, b) => a.total - b.total || b.count - a.count,
+    );
+  }
+
+  // Discard analysis
+
+  const CRIB_SAMPLES = 400; // opponent throw + cut samples per crib estimate
+
+  // Small seedable PRNG (mulberry32) so estimates are repeatable
+  function createRng(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Deck cards not in the excluded list
+  function getRemainingDeck(excluded) {
+    const used = new Set(excluded.map(formatCard));
+    return DECK.filter((card) => !used.has(formatCard(card)));
+  }
+
+  // Score a four-card keep against every possible cut
+  function scoreKeepAgainstCuts(keep, remaining, rules = RULESETS.standard) {
+    const totals = scoreHands(
+      remaining.map((cut) => [...keep, cut]),
+      false,
+      { rules },
+    );
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    totals.forEach((total) => {
+      min = Math.min(min, total);
+      max = Math.max(max, total);
+      sum += total;
+    });
+    return { min, max, avg: sum / remaining.length };
+  }
+
+  // Estimate the crib value of two thrown cards by sampling the opponent's
+  // two discards and the cut from the cards we can't see
+  function estimateCribValue(
+    thrown,
+    remaining,
+    rules = RULESETS.standard,
+    samples = CRIB_SAMPLES,
+  ) {
+    const rng = createRng(samples);
+    const cribs = [];
+    for (let s = 0; s < samples; s++) {
+      const picks = [];
+      while (picks.length < 3) {
+        const index = Math.floor(rng() * remaining.length);
+        if (!picks.includes(index)) {
+          picks.push(index);
+        }
+      }
+      cribs.push([...thrown, ...picks.map((i) => remaining[i])]);
+    }
+    const totals = scoreHands(cribs, true, { rules });
+    return totals.reduce((sum, total) => sum + total, 0) / samples;
+  }
+
+  // Analyze all 15 keep/throw splits of six dealt cards
+  // Crib value counts for us as dealer and against us as pone
+  // Keeping four of six only fits rules with a four-card hand
+  function analyzeDiscards(dealt, isDealer, rules = RULESETS.standard) {
+    if (
+      !dealt ||
+      dealt.length !== 6 ||
+      dealt.some((c) => !c) ||
+      getHandSize(false, rules) !== 4
+    ) {
+      return null;
+    }
+
+    const remaining = getRemainingDeck(dealt);
+    const results = [];
+
+    for (let i = 0; i < 6; i++) {
+      for (let j = i + 1; j < 6; j++) {
+        const thrown = [dealt[i], dealt[j]];
+        const keep = dealt.filter((_, index) => index !== i && index !== j);
+        const hand = scoreKeepAgainstCuts(keep, remaining, rules);
+        const crib = estimateCribValue(thrown, remaining, rules);
+        results.push({
+          keep,
+          thrown,
+          min: hand.min,
+          avg: hand.avg,
+          max: hand.max,
+          crib,
+          net: isDealer ? hand.avg + crib : hand.avg - crib,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // What-if cuts
+
+  // Score a hand against every cut still in the deck once the hand and any
+  // seen cards (exposed or discarded) are taken out. atLeast[n] is the
+  // chance of scoring n or more
+  function analyzeCuts(
+    hand,
+    seen = [],
+    isCrib = false,
+    rules = RULESETS.standard,
+  ) {
+    if (
+      !hand ||
+      hand.length !== getHandSize(isCrib, rules) ||
+      hand.some((c) => !c)
+    ) {
+      return null;
+    }
+
+    const remaining = getRemainingDeck([...hand, ...seen]);
+    if (remaining.length === 0) return null;
+    const totals = Array.from(
+      scoreHands(
+        remaining.map((cut) => [...hand, cut]),
+        isCrib,
+        { rules },
+      ),
+    );
+    const cuts = remaining.map((cut, i) => ({ cut, total: totals[i] }));
+    const max = Math.max(...totals);
+    const atLeast = [];
+    for (let n = 0; n <= max; n++) {
+      atLeast.push(totals.filter((t) => t >= n).length / cuts.length);
+    }
+
+    return {
+      cuts,
+      min: Math.min(...totals),
+      max,
+      avg: totals.reduce((sum, t) => sum + t, 0) / cuts.length,
+      atLeast,
+    };
+  }
+
+  // Rounds
+
+  const ROUND_HANDS = ["pone", "dealer", "crib"];
+
+  // Score pone's hand, the dealer's hand and the crib against one cut. Every
+  // card must be dealt and no card may appear twice across the round. The
+  // crib counts for the dealer
+  function scoreRound(round, cut, rules = RULESETS.standard) {
+    const dealt = [...ROUND_HANDS.flatMap((hand) => round[hand] || []), cut];
+    const complete = ROUND_HANDS.every(
+      (hand) =>
+        round[hand] &&
+        round[hand].length === getHandSize(hand === "crib", rules),
+    );
+    if (!complete || dealt.some((c) => !c)) return null;
+    if (new Set(dealt.map(formatCard)).size !== dealt.length) return null;
+
+    const scores = {};
+    ROUND_HANDS.forEach((hand) => {
+      scores[hand] = scoreHand([...round[hand], cut], hand === "crib", rules);
+    });
+    return {
+      ...scores,
+      totals: {
+        pone: scores.pone.total,
+        dealer: scores.dealer.total + scores.crib.total,
+      },
+    };
+  }
+
+  // Practice deals
+
+  // Fisher-Yates shuffle of the whole deck driven by a seeded rng
+  function shuffleDeck(rng) {
+    const deck = [...DECK];
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+  }
+
+  // Hands that trip people up: double runs, four or more fifteens, or
+  // three of a kind and up
+  function isHardHand(score) {
+    return (
+      score.runs.runs.some((run) => run.multiplier > 1) ||
+      score.fifteens.points >= 8 ||
+      score.pairs.points >= 6
+    );
+  }
+
+  // Deal four cards and a cut; the same seed always deals the same round.
+  // With hardOnly, keep shuffling until a hard hand comes up
+  function dealPracticeRound(seed, hardOnly = false) {
+    const rng = createRng(seed);
+    for (;;) {
+      const cards = shuffleDeck(rng).slice(0, 5);
+      const score = scoreHand(cards);
+      if (!hardOnly || isHardHand(score)) {
+        return { cards, score };
+      }
+    }
+  }
+
+  // Pegging (the play)
+
+  // Score the card just laid on the pile (count already includes it)
+  function scorePeggingPlay(pile, count) {
+    const reasons = [];
+
+    if (count === 15) {
+      reasons.push({ label: t("pegging.fifteen"), points: 2 });
+    }
+    if (count === 31) {
+      reasons.push({ label: t("pegging.thirtyOne"), points: 2 });
+    }
+
+    // Pairs: cards of the same rank laid consecutively at the end of the pile
+    const last = pile[pile.length - 1];
+    let sameRank = 1;
+    for (let i = pile.length - 2; i >= 0; i--) {
+      if (pile[i].rank !== last.rank) break;
+      sameRank++;
+    }
+    if (sameRank === 2) {
+      reasons.push({ label: t("pegging.pair"), points: 2 });
+    } else if (sameRank === 3) {
+      reasons.push({ label: t("pegging.pairRoyal"), points: 6 }); // 3 pairs
+    } else if (sameRank === 4) {
+      reasons.push({ label: t("pegging.doublePairRoyal"), points: 12 }); // 6 pairs
+    }
+
+    // Runs: the longest tail of the pile whose ranks are consecutive in any order
+    for (let length = pile.length; length >= 3; length--) {
+      const ranks = pile.slice(-length).map(getNumericRank);
+      const distinct = new Set(ranks);
+      if (
+        distinct.size === length &&
+        Math.max(...ranks) - Math.min(...ranks) === length - 1
+      ) {
+        reasons.push({ label: t("pegging.run", { length }), points: length });
+        break;
+      }
+    }
+
+    const points = reasons.reduce((sum, r) => sum + r.points, 0);
+    return { points, reasons };
+  }
+
+  // Score the play from a list of events in the order they happened
+  // Player 0 (pone) leads; a "go" passes the turn and the second "go" in a row
+  // ends the sequence with 1 point to whoever laid the last card. A "pass"
+  // hands the lead over when the player to lead has run out of cards
+  function scorePegging(events, isComplete = false) {
+    const scores = [0, 0];
+    const plays = [];
+    let count = 0;
+    let pile = [];
+    let current = 0;
+    let lastPlayer = null;
+    let goPlayer = null;
+
+    for (const event of events) {
+      // The player to move has no cards left as a new count starts, so the
+      // other player leads
+      if (event.type === "pass") {
+        if (pile.length > 0) return null;
+        plays.push({
+          type: "pass",
+          player: current,
+          count,
+          points: 0,
+          reasons: [],
+        });
+        current = 1 - current;
+        continue;
+      }
+
+      if (event.type === "go") {
+        if (pile.length === 0) return null;
+
+        if (goPlayer === null) {
+          goPlayer = current;
+          plays.push({
+            type: "go",
+            player: current,
+            count,
+            points: 0,
+            reasons: [],
+          });
+          current = 1 - current;
+          continue;
+        }
+
+        // Neither player can lay a card: the last player to play pegs the go
+        scores[lastPlayer] += 1;
+        plays.push({
+          type: "go",
+          player: current,
+          count,
+          points: 0,
+          reasons: [],
+          awarded: {
+            player: lastPlayer,
+            reasons: [{ label: t("pegging.go"), points: 1 }],
+          },
+        });
+        current = 1 - lastPlayer;
+        count = 0;
+        pile = [];
+        goPlayer = null;
+        continue;
+      }
+
+      const { card } = event;
+      const player = current;
+      if (count + getCardValue(card) > 31) return null;
+
+      count += getCardValue(card);
+      pile.push(card);
+      lastPlayer = player;
+
+      const { points, reasons } = scorePeggingPlay(pile, count);
+      scores[player] += points;
+      plays.push({ type: "card", player, card, count, points, reasons });
+
+      if (count === 31) {
+        current = 1 - player;
+        count = 0;
+        pile = [];
+        goPlayer = null;
+      } else {
+        current = goPlayer !== null ? player : 1 - player;
+      }
+    }
+
+    // Last card of the play pegs 1 unless it already made 31
+    if (isComplete && pile.length > 0) {
+      const lastPlay = plays[plays.length - 1];
+      const reason = { label: t("pegging.lastCard"), points: 1 };
+      scores[lastPlayer] += 1;
+      if (lastPlay.type === "card") {
+        lastPlay.reasons.push(reason);
+        lastPlay.points += 1;
+      } else {
+        lastPlay.awarded = { player: lastPlayer, reasons: [reason] };
+      }
+    }
+
+    return { scores, plays, count, nextPlayer: current };
+  }
+
+  // Pegging practice
+
+  // How the computer picks its card: any card, the most points now, or the
+  // most points now less what the reply is expected to give away
+  const PEGGING_STRATEGIES = ["random", "greedy", "lookahead"];
+
+  // Cards from hand that can be laid without going past 31
+  function getPlayableCards(events, hand) {
+    const { count } = scorePegging(events);
+    return hand.filter((card) => count + getCardValue(card) <= 31);
+  }
+
+  // Points the player to move pegs by laying card next (null past 31)
+  function getPeggingPlayPoints(events, card) {
+    const before = scorePegging(events);
+    const after = scorePegging([...events, { type: "card", card }]);
+    if (!before || !after) return null;
+    const player = before.nextPlayer;
+    return after.scores[player] - before.scores[player];
+  }
+
+  // Average points the opponent pegs with their next card, if each unseen
+  // card is as likely as any other to be in their hand. A ten-card is the
+  // likeliest reply, so counts of 5 and 21 (one away from 15 and 31) cost
+  // the most
+  function getExpectedReply(events, player, unseen) {
+    const state = scorePegging(events);
+    // After a go the same player lays again: no reply to fear
+    if (unseen.length === 0 || state.nextPlayer === player) return 0;
+    const total = unseen.reduce(
+      (sum, card) => sum + (getPeggingPlayPoints(events, card) || 0),
+      0,
+    );
+    return total / unseen.length;
+  }
+
+  // The card the player to move lays from hand, or null when none fits (a
+  // go). seen lists cards known not to be in the opponent's hand besides
+  // those in hand or already laid, such as the cut
+  function choosePeggingPlay(
+    events,
+    hand,
+    strategy = "greedy",
+    { seen = [], rng = Math.random } = {},
+  ) {
+    const playable = getPlayableCards(events, hand);
+    if (playable.length === 0) return null;
+    if (strategy === "random") {
+      return playable[Math.floor(rng() * playable.length)];
+    }
+
+    const player = scorePegging(events).nextPlayer;
+    const laid = events.filter((e) => e.type === "card").map((e) => e.card);
+    const unseen = getRemainingDeck([...hand, ...laid, ...seen]);
+    const value = (card) => {
+      const points = getPeggingPlayPoints(events, card);
+      if (strategy !== "lookahead") return points;
+      const next = [...events, { type: "card", card }];
+      return points - getExpectedReply(next, player, unseen);
+    };
+
+    // Ties go to the first card in hand
+    let best = playable[0];
+    let bestValue = value(best);
+    playable.slice(1).forEach((card) => {
+      const cardValue = value(card);
+      if (cardValue > bestValue) {
+        best = card;
+        bestValue = cardValue;
+      }
+    });
+    return best;
+  }
+
+  // The player's cards that pegged less than the best card they held at the
+  // time: { index, card, count, points, best: { card, points } } with index
+  // into events and count before the card was laid
+  function reviewPeggingPlays(events, player, hand) {
+    const misses = [];
+    let held = [...hand];
+
+    events.forEach((event, index) => {
+      if (event.type !== "card") return;
+      const before = events.slice(0, index);
+      const state = scorePegging(before);
+      if (state.nextPlayer !== player) return;
+
+      const points = getPeggingPlayPoints(before, event.card);
+      let best = { card: event.card, points };
+      getPlayableCards(before, held).forEach((card) => {
+        const cardPoints = getPeggingPlayPoints(before, card);
+        if (cardPoints > best.points) best = { card, points: cardPoints };
+      });
+      held = held.filter((card) => formatCard(card) !== formatCard(event.card));
+
+      if (best.points > points) {
+        misses.push({
+          index,
+          card: event.card,
+          count: state.count,
+          points,
+          best,
+        });
+      }
+    });
+    return misses;
+  }
+
+  return {
+    RANKS,
+    SUITS,
+    DECK,
+    SUIT_ALIASES,
+    getCardValue,
+    parseCard,
+    parseCardList,
+    formatCard,
+    RANK_NAMES,
+    SUIT_NAMES,
+    getCardName,
+    toCardCode,
+    scoreFifteens,
+    scorePairs,
+    getNumericRank,
+    scoreRuns,
+    RULESETS,
+    getRuleset,
+    CRIB_SIZE,
+    getHandSize,
+    scoreFlush,
+    scoreNobs,
+    scoreHeels,
+    scoreHand,
+    describeScore,
+    narrateScore,
+    SCORE_CATEGORIES,
+    compareClaim,
+    MAX_HAND_SCORE,
+    HAND_COMBINATIONS,
+    IMPOSSIBLE_SCORES,
+    encodeCard,
+    scoreHands,
+    forEachEncodedHandAndCut,
+    forEachHandAndCut,
+    countScoreDistribution,
+    getScorePercentile,
+    labelFifteens,
+    labelPairs,
+    labelRuns,
+    labelFlush,
+    labelNobs,
+    labelBreakdown,
+    getBreakdownParts,
+    collectScoreBreakdowns,
+    CRIB_SAMPLES,
+    createRng,
+    getRemainingDeck,
+    scoreKeepAgainstCuts,
+    estimateCribValue,
+    analyzeDiscards,
+    analyzeCuts,
+    ROUND_HANDS,
+    scoreRound,
+    shuffleDeck,
+    isHardHand,
+    dealPracticeRound,
+    scorePeggingPlay,
+    scorePegging,
+    PEGGING_STRATEGIES,
+    getPlayableCards,
+    getPeggingPlayPoints,
+    choosePeggingPlay,
+    reviewPeggingPlays,
+  };
+});
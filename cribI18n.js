@@ -0,0 +1,1697 @@
+// Cribbage Strings
+// Message catalogs for every language the counter speaks, shared by the page
+// (as browser globals) and Node (as a CommonJS module)
+
+(function (root, factory) {
+  const i18n = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = i18n;
+  } else {
+    Object.assign(root, i18n);
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const LANGUAGES = {
+    en: "English",
+    fr: "Français",
+    de: "Deutsch",
+  };
+  const DEFAULT_LANGUAGE = "en";
+
+  // Messages use {name} placeholders. A message with plural forms is an
+  // object keyed by Intl.PluralRules category, picked by params.count
+  const MESSAGES = {
+    en: {
+      // Page
+      "app.title": "Cribbage Hand Counter",
+      "app.heading": "🎴 🎲 🃁 Cribbage Counter 🃁 🎲 🎴",
+      "language.label": "Language",
+      "common.clear": "Clear",
+      "common.reset": "Reset",
+      "worker.scoring": "Scoring every hand…",
+      "worker.progress": "Scoring every hand… {percent}%",
+      "update.available": "New version available",
+      "update.reload": "Reload",
+      "update.dismiss": "Later",
+
+      // Cards
+      "rank.A": "A",
+      "rank.2": "2",
+      "rank.3": "3",
+      "rank.4": "4",
+      "rank.5": "5",
+      "rank.6": "6",
+      "rank.7": "7",
+      "rank.8": "8",
+      "rank.9": "9",
+      "rank.10": "10",
+      "rank.J": "J",
+      "rank.Q": "Q",
+      "rank.K": "K",
+      "rankName.A": "ace",
+      "rankName.2": "two",
+      "rankName.3": "three",
+      "rankName.4": "four",
+      "rankName.5": "five",
+      "rankName.6": "six",
+      "rankName.7": "seven",
+      "rankName.8": "eight",
+      "rankName.9": "nine",
+      "rankName.10": "ten",
+      "rankName.J": "jack",
+      "rankName.Q": "queen",
+      "rankName.K": "king",
+      "suitName.spades": "spades",
+      "suitName.hearts": "hearts",
+      "suitName.diamonds": "diamonds",
+      "suitName.clubs": "clubs",
+      "card.name": "{rank} of {suit}",
+
+      // Typed card entry
+      "parse.oneBar": 'Use only one "|" to separate the cut card',
+      "parse.notACard": '"{token}" is not a card',
+      "parse.duplicate": "{card} is entered more than once",
+      "parse.handSize": {
+        one: "A hand has {size} card, got {count}",
+        other: "A hand has {size} cards, got {count}",
+      },
+      "parse.cutCount": "Only one cut card, got {count}",
+
+      // Scoring
+      "pairs.pair": "Pair of {rank}s",
+      "pairs.three": "Three {rank}s",
+      "pairs.four": "Four {rank}s",
+      "describe.fifteens": {
+        one: "Fifteens: {count} point",
+        other: "Fifteens: {count} points",
+      },
+      "describe.combinations": {
+        one: "{count} combination",
+        other: "{count} combinations",
+      },
+      "describe.pairs": {
+        one: "Pairs: {count} point",
+        other: "Pairs: {count} points",
+      },
+      "describe.run": "Run of {length}",
+      "describe.runMultiplier": "Run of {length} ({multiplier}x multiplier)",
+      "describe.runs": {
+        one: "Runs: {count} point",
+        other: "Runs: {count} points",
+      },
+      "describe.flush": {
+        one: "Flush: {count} point",
+        other: "Flush: {count} points",
+      },
+      "describe.flushCrib": "All 5 cards same suit",
+      "describe.flushHandCut": "Hand + cut same suit",
+      "describe.flushCribFour": "Crib flush without the cut",
+      "describe.flushHand": "Hand flush",
+      "describe.nobs": {
+        one: "Nobs: {count} point",
+        other: "Nobs: {count} points",
+      },
+      "describe.nobsDetails": "Jack {card} matches cut suit",
+      "describe.heels": {
+        one: "His heels: {count} point",
+        other: "His heels: {count} points",
+      },
+      "describe.heelsDetails": "{card} cut for the dealer",
+      "label.fifteensOne": "One 15 (2)",
+      "label.fifteens": "{count} 15s ({points})",
+      "label.pair": "Pair (2)",
+      "label.twoPairs": "Two pairs (4)",
+      "label.threeOfAKind": "Three of a kind (6)",
+      "label.threeOfAKindPair": "Three of a kind + pair (8)",
+      "label.fourOfAKind": "Four of a kind (12)",
+      "label.run": "Run of {length} ({points})",
+      "label.doubleRun": "Double run of {length} ({points})",
+      "label.tripleRun": "Triple run of {length} ({points})",
+      "label.doubleDoubleRun": "Double-double run of {length} ({points})",
+      "label.cribFlush": "Crib flush (5)",
+      "label.handFlush": "Hand flush (4)",
+      "label.handCutFlush": "Hand + cut flush (5)",
+      "label.nobs": "Nobs (1)",
+      "category.fifteens": "Fifteens",
+      "category.pairs": "Pairs",
+      "category.runs": "Runs",
+      "category.flush": "Flush",
+      "category.nobs": "Nobs",
+      "category.heels": "His heels",
+      "categoryText.fifteens": "fifteens",
+      "categoryText.pairs": "pairs",
+      "categoryText.runs": "runs",
+      "categoryText.flush": "flush",
+      "categoryText.nobs": "nobs",
+      "categoryText.heels": "his heels",
+
+      // Rules
+      "mode.hand": "Hand",
+      "mode.crib": "Crib",
+      "rules.label": "Rules",
+      "rules.cribFourFlush": "4-card crib flush",
+      "rules.hisHeels": "His heels in crib",
+      "ruleset.standard": "Standard (2 to 4 players)",
+      "ruleset.fiveCard": "Five-card",
+      "ruleset.lowball": "Lowball",
+
+      // Card selection
+      "select.heading": "Select Cards",
+      "select.instruction":
+        "Select {total} cards from the deck below: {count} for your hand and 1 cut card. Click a slot to fill it next, or drag cards between slots to swap them",
+      "entry.label": "Type cards",
+      "entry.button": "Enter",
+      "undo.button": "Undo",
+      "undo.title": "Undo (Ctrl+Z)",
+      "redo.button": "Redo",
+      "redo.title": "Redo (Ctrl+Shift+Z)",
+      "hand.heading": {
+        one: "Hand ({count} card)",
+        other: "Hand ({count} cards)",
+      },
+      "cut.heading": "Cut Card",
+      "deck.heading": "Deck",
+      "deck.label": "Deck",
+      "slot.card": "Card {number}",
+      "slot.cut": "Cut Card",
+      "slot.filled": "{slot}: {card}",
+      "slot.empty": "{slot}: empty",
+      "slot.target": "{label}, next card goes here",
+      "slot.remove": "Remove {card}",
+      "selected.heading": "Selected Cards",
+      "selected.hand": "Hand:",
+      "selected.cut": "Cut:",
+      "error.badLink":
+        "That link doesn't describe a valid hand - starting empty",
+
+      // Score
+      "score.heading": "Score",
+      "score.totalLabel": "Total Points:",
+      "score.selectAll": "Select all {count} cards to see score",
+      "score.mondorBefore": "You Have Hit A ",
+      "score.mondorAfter": ' - "19" Points - You Suck',
+      "score.hidden": "Score hidden until you claim your count",
+      "score.announceHand": "Hand scores {total}",
+      "score.announceCrib": "Crib scores {total}",
+      "breakdown.claim": "{cards} ({points})",
+      "breakdown.highlight": "Highlight these cards",
+
+      // Count narration
+      "number.0": "zero",
+      "number.1": "one",
+      "number.2": "two",
+      "number.3": "three",
+      "number.4": "four",
+      "number.5": "five",
+      "number.6": "six",
+      "number.7": "seven",
+      "number.8": "eight",
+      "number.9": "nine",
+      "number.10": "ten",
+      "number.11": "eleven",
+      "number.12": "twelve",
+      "number.13": "thirteen",
+      "number.14": "fourteen",
+      "number.15": "fifteen",
+      "number.16": "sixteen",
+      "number.17": "seventeen",
+      "number.18": "eighteen",
+      "number.19": "nineteen",
+      "number.20": "twenty",
+      "number.21": "twenty-one",
+      "number.22": "twenty-two",
+      "number.23": "twenty-three",
+      "number.24": "twenty-four",
+      "number.25": "twenty-five",
+      "number.26": "twenty-six",
+      "number.27": "twenty-seven",
+      "number.28": "twenty-eight",
+      "number.29": "twenty-nine",
+      "number.30": "thirty",
+      "number.31": "thirty-one",
+      "narrate.fifteen": "fifteen {total}",
+      "narrate.pair": "a pair is {total}",
+      "narrate.pairRoyal": "a pair royal is {total}",
+      "narrate.doublePairRoyal": "a double pair royal is {total}",
+      "narrate.run": "a run of {length} is {total}",
+      "narrate.doubleRun": "a double run of {length} is {total}",
+      "narrate.tripleRun": "a triple run of {length} is {total}",
+      "narrate.doubleDoubleRun": "a double double run of {length} is {total}",
+      "narrate.flush": "a flush of {length} is {total}",
+      "narrate.nobs": "one for his nobs is {total}",
+      "narrate.heels": "two for his heels is {total}",
+      "narrate.and": "and {phrase}",
+      "narrate.nothing": "nineteen (not a point)",
+      "narration.read": "Read aloud",
+      "narration.stop": "Stop",
+      "narration.rate": "Speed",
+
+      // Image export
+      "export.button": "Export image",
+      "export.download": "Download",
+      "export.copy": "Copy",
+      "export.close": "Close",
+      "export.copied": "Image copied to the clipboard",
+      "export.copyFailed": "Couldn't copy the image - download it instead",
+      "export.alt": "The scored hand as an image",
+
+      // Muggins
+      "muggins.title": "Muggins",
+      "muggins.note":
+        "With muggins on, the score stays hidden until you claim your count. Any points the counter misses go to the other side.",
+      "muggins.notice":
+        "Claim your count in the Muggins panel to see the score",
+      "muggins.enable": "Play muggins",
+      "muggins.meCounting": "I'm counting",
+      "muggins.opponentCounting": "Opponent is counting",
+      "muggins.claim": "Claim",
+      "muggins.tallyLabel": "Muggins taken this session - ",
+      "muggins.resetTally": "Reset tally",
+      "muggins.you": "You",
+      "muggins.opponent": "Opponent",
+      "muggins.selectAll": "Select all {count} cards before claiming a count",
+      "muggins.negative": "Claims can't be negative",
+      "muggins.opponentTakes":
+        "Claimed {claimed} of {total} - Opponent takes {missed} by muggins",
+      "muggins.youTake":
+        "Claimed {claimed} of {total} - You take {missed} by muggins",
+      "muggins.overClaimed":
+        "Claimed {claimed} of {total} - nothing missed, but {over} over-claimed",
+      "muggins.perfect": "Claimed {claimed} of {total} - a perfect count",
+      "muggins.missed": {
+        one: "Missed {category}: {count} point",
+        other: "Missed {category}: {count} points",
+      },
+      "muggins.missedDetails": "Claimed {claimed} of {actual} - {details}",
+      "muggins.overClaimedItem": {
+        one: "Over-claimed {category}: {count} point",
+        other: "Over-claimed {category}: {count} points",
+      },
+      "muggins.overClaimedDetails": "Claimed {claimed}, worth {actual}",
+
+      // Discard advisor
+      "discard.title": "Discard Advisor",
+      "discard.note":
+        "Select the 6 cards you were dealt. Each keep is scored against all 46 possible cuts; the crib column estimates what the two thrown cards are worth in the crib.",
+      "discard.dealer": "Dealer (my crib)",
+      "discard.pone": "Pone (their crib)",
+      "discard.deckLabel": "Deck for the dealt cards",
+      "discard.full": "Six cards already dealt - remove one first",
+      "discard.selectAll": "Select all 6 dealt cards to rank the keeps",
+      "discard.fourCardHands":
+        "Keeping four of six cards needs rules with a four-card hand",
+      "discard.keep": "Keep",
+      "discard.throw": "Throw",
+      "discard.min": "Min",
+      "discard.avg": "Avg",
+      "discard.max": "Max",
+      "discard.cribPlus": "Crib (+)",
+      "discard.cribMinus": "Crib (−)",
+      "discard.net": "Net",
+      "discard.loadKeep": "Load this keep into the hand slots",
+      // Round scorer
+      "round.title": "Round Scorer",
+      "round.note":
+        "Deal a whole round: pone's hand, the dealer's hand and the crib, with one cut shared by all three. Each card can only be dealt once.",
+      "round.pone": "Pone's hand",
+      "round.dealer": "Dealer's hand",
+      "round.crib": "Crib",
+      "round.deckLabel": "Deck for the round",
+      "round.selectAll": {
+        one: "Deal 1 more card to score the round",
+        other: "Deal {count} more cards to score the round",
+      },
+      "round.handTotal": {
+        one: "{hand}: {count} point",
+        other: "{hand}: {count} points",
+      },
+      "round.load": "Open in the counter",
+      "round.poneTotal": "Pone",
+      "round.dealerTotal": "Dealer",
+      "round.dealerSplit": "{hand} in hand + {crib} in the crib",
+
+      // Cut analysis
+      "cut.title": "What If: Cut Analysis",
+      "cut.note":
+        "Fill the hand and leave the cut empty to see what every possible cut would score. Click a cut to mark it as seen (an opponent's exposed card or your own discards) and leave it out of the odds.",
+      "cut.clearSeen": "Clear seen cards",
+      "cut.oddsLabel": "Chance of scoring at least each total",
+      "cut.clearCut": "Clear the cut card to see what every cut would score",
+      "cut.fillHand": {
+        one: "Fill the {count} hand card to see what every cut would score",
+        other: "Fill all {count} hand cards to see what every cut would score",
+      },
+      "cut.allSeen": "Every other card has been seen - nothing left to cut",
+      "cut.summary": {
+        one: "{count} possible cut · min {min} · avg {avg} · max {max}",
+        other: "{count} possible cuts · min {min} · avg {avg} · max {max}",
+      },
+      "cut.seenCount": " · {count} seen",
+      "cut.oddsTitle": "{chance} chance of scoring at least {points}",
+      "cut.rank": "Rank",
+      "cut.avg": "Avg",
+      "cut.inHand": "{card}: in your hand",
+      "cut.seen": "{card}: seen",
+      "cut.points": {
+        one: "{card}: {count} point",
+        other: "{card}: {count} points",
+      },
+      "cut.unsee": "Put back in the deck",
+      "cut.markSeen": "Mark as seen",
+
+      // Pegging
+      "pegging.title": "Pegging (The Play)",
+      "pegging.note":
+        "Click the cards in the order they were laid down. Pone leads and players alternate; press Go when the player to play cannot, and Pass when the player to lead a new count has no cards left.",
+      "pegging.count": "Count",
+      "pegging.pone": "Pone",
+      "pegging.dealer": "Dealer",
+      "pegging.go": "Go",
+      "pegging.pass": "Pass",
+      "pegging.deckLabel": "Deck for the cards played",
+      "pegging.fifteen": "Fifteen",
+      "pegging.thirtyOne": "Thirty-one",
+      "pegging.pair": "Pair",
+      "pegging.pairRoyal": "Pair royal",
+      "pegging.doublePairRoyal": "Double pair royal",
+      "pegging.run": "Run of {length}",
+      "pegging.lastCard": "Last card",
+      "pegging.past31":
+        "{card} would take the count past 31 - {player} must say go",
+      "pegging.nothingPlayed":
+        "Nothing has been played since the count was reset",
+      "pegging.cannotPass":
+        "Pass only when a new count starts and the player to lead has no cards left",
+      "pegging.complete": "Play complete",
+      "pegging.toPlay": "{player} to play",
+      "pegging.cardPlay": "{player}: {card} (count {count})",
+      "pegging.goPlay": "{player}: Go (count {count})",
+      "pegging.passPlay": "{player} is out of cards",
+      "pegging.points": {
+        one: "{reasons} - {count} point",
+        other: "{reasons} - {count} points",
+      },
+      "pegging.noPoints": "No points",
+      "pegging.pegs": "{player} pegs {reasons}",
+      "pegging.turnPasses": "Turn passes",
+
+      // Pegging practice
+      "peggingPractice.title": "Pegging Practice",
+      "peggingPractice.note":
+        "Play four cards against the computer. Click a card to lay it, and press Go when none of your cards fits under 31. Afterwards, see which plays pegged less than the best card you held.",
+      "peggingPractice.strategy": "Computer plays",
+      "peggingPractice.strategy.random": "Random cards",
+      "peggingPractice.strategy.greedy": "Greedy (most points now)",
+      "peggingPractice.strategy.lookahead":
+        "Lookahead (avoids leaving 5s and 21s)",
+      "peggingPractice.rolePone": "I lead (pone)",
+      "peggingPractice.roleDealer": "Computer leads (I deal)",
+      "peggingPractice.deal": "Deal",
+      "peggingPractice.you": "You",
+      "peggingPractice.computer": "Computer",
+      "peggingPractice.hand": "Your hand",
+      "peggingPractice.computerCards": {
+        one: "The computer holds 1 card",
+        other: "The computer holds {count} cards",
+      },
+      "peggingPractice.start": "Press Deal to start",
+      "peggingPractice.yourTurn": "Your turn",
+      "peggingPractice.mustGo": "None of your cards fits - say go",
+      "peggingPractice.thinking": "The computer is thinking…",
+      "peggingPractice.review": "Review",
+      "peggingPractice.perfect":
+        "Every card you laid pegged as much as the best card you held",
+      "peggingPractice.miss":
+        "{card} at count {count} pegged {points}; {best} would have pegged {bestPoints}",
+
+      // Game tracker
+      "game.title": "Game Tracker",
+      "game.players": "Players",
+      "game.player": "Player {number}",
+      "game.firstDealer": "First dealer",
+      "game.start": "Start game",
+      "game.boardLabel": "Cribbage board",
+      "game.postCurrent": "Post current count",
+      "game.pegging": "Pegging",
+      "game.points": "Points",
+      "game.peg": "Peg",
+      "game.end": "End game",
+      "game.dealerName": "{name} (dealer)",
+      "game.skunked": "Skunked",
+      "game.doubleSkunked": "Double skunked",
+      "game.wins": "{name} wins!",
+      "game.lowballWins": "{name} wins: {loser} reached 121 first",
+      "game.nextCrib": "Next to count: {name}'s crib",
+      "game.nextHand": "Next to count: {name}'s hand",
+      "game.post": "Post {total} to {name}",
+      "game.abandon": "Abandon the game in progress?",
+      "game.selectAll": "Select all {count} cards to post a count",
+      "game.needCrib": "Counting the crib now - switch to Crib mode",
+      "game.needHand": "Counting a hand now - switch to Hand mode",
+      "game.enterPoints": "Enter the pegging points to add",
+
+      // Distribution
+      "dist.title": "Score Distribution",
+      "dist.hands": "Hands",
+      "dist.cribs": "Cribs",
+      "dist.allHands": "All {count} hand + cut combinations",
+      "dist.allCribs": "All {count} crib + cut combinations",
+      "dist.workersUnavailable":
+        "Background workers are unavailable - serve the page over http to see the distribution",
+      "dist.beatsHands": "This {total} beats {percent}% of hands",
+      "dist.beatsCribs": "This {total} beats {percent}% of cribs",
+
+      // Practice
+      "practice.title": "Counting Practice",
+      "practice.note":
+        "Deal a random hand and cut, count it as fast as you can and type the points for each category. Use the round number to replay a deal.",
+      "practice.deal": "Deal",
+      "practice.hardOnly": "Hard hands only",
+      "practice.round": "Round",
+      "practice.replay": "Replay",
+      "practice.check": "Check",
+      "practice.resetStats": "Reset stats",
+      "practice.enterRound":
+        "Enter the round to replay, like 1234 (or 1234h for hard hands)",
+      "practice.enterCounts": "Type the points you counted for each category",
+      "practice.correct": "Correct - {total} in {seconds}s",
+      "practice.wrongSplit": "Right total, wrong split - {total} in {seconds}s",
+      "practice.categoryWrong": "{category}: you said {claimed}, it's {actual}",
+      "practice.wrong": "You said {guess}, it's {total} ({diff}) - {seconds}s",
+      "practice.tooMany": "{count} too many",
+      "practice.short": "{count} short",
+      "practice.roundLabel": "Round {seed}",
+      "practice.roundLabelHard": "Round {seed} (hard hands)",
+      "practice.noHands": "No hands counted yet",
+      "practice.stats":
+        "{correct}/{answered} correct ({percent}%) · avg {seconds}s · streak {streak} (best {best})",
+
+      // History
+      "history.title": "Scoring History",
+      "history.note":
+        "Press Save to history under the score to log a hand here. Click one to open it in the slots again.",
+      "history.save": "Save to history",
+      "history.saved": "Saved to history",
+      "history.player": "Player",
+      "history.optional": "Optional",
+      "history.empty": "No hands counted yet",
+      "history.concealed":
+        "Claim your count in the Muggins panel to see the history",
+      "history.exportCsv": "Export CSV",
+      "history.exportJson": "Export JSON",
+      "history.import": "Import",
+      "history.clear": "Clear history",
+      "history.thisSession": "This session",
+      "history.allTime": "All time",
+      "history.noHands": "{label}: no hands yet",
+      "history.stats":
+        "{label}: {counted} · avg hand {hand} · avg crib {crib} · best hand {best}{lowball} · {mondors}",
+      "history.bestLowball": " · best lowball hand {best}",
+      "history.counted": "{count} counted",
+      "history.mondors": {
+        one: "{count} MONDOR",
+        other: "{count} MONDORs",
+      },
+      "history.openTitle": "Open this hand in the slots",
+      "history.hand": "hand {total}",
+      "history.crib": "crib {total}",
+      "history.confirmClear": "Delete every hand in the history?",
+      "history.notExport": "{file} isn't a history export",
+      "history.imported": {
+        one: "Imported {count} hand",
+        other: "Imported {count} hands",
+      },
+      "history.skipped": " ({count} skipped as invalid or already here)",
+
+      // Score reference
+      "reference.title": "Score Reference",
+      "reference.scoreLabel": "Hand score:",
+      "reference.selectLabel": "Select a score from 1 to 29",
+      "reference.imageAlt": "Score {score} illustration",
+      "reference.waysHeading": "Ways to make this score",
+      "reference.impossibleOption": "{score} (impossible)",
+      "reference.impossible": "No hand can score {score}.",
+      "reference.hands": {
+        one: " - {count} hand, e.g. ",
+        other: " - {count} hands, e.g. ",
+      },
+      "reference.loadExample": "Load this hand into the slots",
+      "reference.workersUnavailable":
+        "Background workers are unavailable - serve the page over http to see real example hands",
+    },
+
+    fr: {
+      // Page
+      "app.title": "Compteur de mains de cribbage",
+      "app.heading": "🎴 🎲 🃁 Compteur de cribbage 🃁 🎲 🎴",
+      "language.label": "Langue",
+      "common.clear": "Effacer",
+      "common.reset": "Réinitialiser",
+      "worker.scoring": "Calcul de toutes les mains…",
+      "worker.progress": "Calcul de toutes les mains… {percent} %",
+      "update.available": "Nouvelle version disponible",
+      "update.reload": "Recharger",
+      "update.dismiss": "Plus tard",
+
+      // Cards
+      "rank.A": "A",
+      "rank.2": "2",
+      "rank.3": "3",
+      "rank.4": "4",
+      "rank.5": "5",
+      "rank.6": "6",
+      "rank.7": "7",
+      "rank.8": "8",
+      "rank.9": "9",
+      "rank.10": "10",
+      "rank.J": "V",
+      "rank.Q": "D",
+      "rank.K": "R",
+      "rankName.A": "as",
+      "rankName.2": "deux",
+      "rankName.3": "trois",
+      "rankName.4": "quatre",
+      "rankName.5": "cinq",
+      "rankName.6": "six",
+      "rankName.7": "sept",
+      "rankName.8": "huit",
+      "rankName.9": "neuf",
+      "rankName.10": "dix",
+      "rankName.J": "valet",
+      "rankName.Q": "dame",
+      "rankName.K": "roi",
+      "suitName.spades": "pique",
+      "suitName.hearts": "cœur",
+      "suitName.diamonds": "carreau",
+      "suitName.clubs": "trèfle",
+      "card.name": "{rank} de {suit}",
+
+      // Typed card entry
+      "parse.oneBar": "Un seul « | » pour séparer la carte de coupe",
+      "parse.notACard": "« {token} » n'est pas une carte",
+      "parse.duplicate": "{card} est saisie plusieurs fois",
+      "parse.handSize": {
+        one: "Une main compte {size} carte, {count} saisies",
+        other: "Une main compte {size} cartes, {count} saisies",
+      },
+      "parse.cutCount": "Une seule carte de coupe, {count} saisies",
+
+      // Scoring
+      "pairs.pair": "Paire de {rank}",
+      "pairs.three": "Brelan de {rank}",
+      "pairs.four": "Carré de {rank}",
+      "describe.fifteens": {
+        one: "Quinzes : {count} point",
+        other: "Quinzes : {count} points",
+      },
+      "describe.combinations": {
+        one: "{count} combinaison",
+        other: "{count} combinaisons",
+      },
+      "describe.pairs": {
+        one: "Paires : {count} point",
+        other: "Paires : {count} points",
+      },
+      "describe.run": "Suite de {length}",
+      "describe.runMultiplier":
+        "Suite de {length} (multipliée par {multiplier})",
+      "describe.runs": {
+        one: "Suites : {count} point",
+        other: "Suites : {count} points",
+      },
+      "describe.flush": {
+        one: "Couleur : {count} point",
+        other: "Couleur : {count} points",
+      },
+      "describe.flushCrib": "Les 5 cartes de la même couleur",
+      "describe.flushHandCut": "Main et coupe de la même couleur",
+      "describe.flushCribFour": "Couleur de crib sans la coupe",
+      "describe.flushHand": "Couleur dans la main",
+      "describe.nobs": {
+        one: "Nobs : {count} point",
+        other: "Nobs : {count} points",
+      },
+      "describe.nobsDetails": "Le valet {card} est de la couleur de la coupe",
+      "describe.heels": {
+        one: "Valet retourné : {count} point",
+        other: "Valet retourné : {count} points",
+      },
+      "describe.heelsDetails": "{card} retourné pour le donneur",
+      "label.fifteensOne": "Un quinze (2)",
+      "label.fifteens": "{count} quinzes ({points})",
+      "label.pair": "Paire (2)",
+      "label.twoPairs": "Deux paires (4)",
+      "label.threeOfAKind": "Brelan (6)",
+      "label.threeOfAKindPair": "Brelan + paire (8)",
+      "label.fourOfAKind": "Carré (12)",
+      "label.run": "Suite de {length} ({points})",
+      "label.doubleRun": "Double suite de {length} ({points})",
+      "label.tripleRun": "Triple suite de {length} ({points})",
+      "label.doubleDoubleRun": "Double double suite de {length} ({points})",
+      "label.cribFlush": "Couleur de crib (5)",
+      "label.handFlush": "Couleur dans la main (4)",
+      "label.handCutFlush": "Couleur main + coupe (5)",
+      "label.nobs": "Nobs (1)",
+      "category.fifteens": "Quinzes",
+      "category.pairs": "Paires",
+      "category.runs": "Suites",
+      "category.flush": "Couleur",
+      "category.nobs": "Nobs",
+      "category.heels": "Valet retourné",
+      "categoryText.fifteens": "quinzes",
+      "categoryText.pairs": "paires",
+      "categoryText.runs": "suites",
+      "categoryText.flush": "couleur",
+      "categoryText.nobs": "nobs",
+      "categoryText.heels": "valet retourné",
+
+      // Rules
+      "mode.hand": "Main",
+      "mode.crib": "Crib",
+      "rules.label": "Règles",
+      "rules.cribFourFlush": "Couleur de crib à 4 cartes",
+      "rules.hisHeels": "Valet retourné dans le crib",
+      "ruleset.standard": "Standard (2 à 4 joueurs)",
+      "ruleset.fiveCard": "Cinq cartes",
+      "ruleset.lowball": "Lowball (le plus bas gagne)",
+
+      // Card selection
+      "select.heading": "Choisir les cartes",
+      "select.instruction":
+        "Choisissez {total} cartes dans le paquet ci-dessous : {count} pour votre main et 1 carte de coupe. Cliquez sur un emplacement pour le remplir ensuite, ou faites glisser les cartes d'un emplacement à l'autre pour les échanger",
+      "entry.label": "Saisir les cartes",
+      "entry.button": "Valider",
+      "undo.button": "Annuler",
+      "undo.title": "Annuler (Ctrl+Z)",
+      "redo.button": "Rétablir",
+      "redo.title": "Rétablir (Ctrl+Maj+Z)",
+      "hand.heading": {
+        one: "Main ({count} carte)",
+        other: "Main ({count} cartes)",
+      },
+      "cut.heading": "Carte de coupe",
+      "deck.heading": "Paquet",
+      "deck.label": "Paquet",
+      "slot.card": "Carte {number}",
+      "slot.cut": "Coupe",
+      "slot.filled": "{slot} : {card}",
+      "slot.empty": "{slot} : vide",
+      "slot.target": "{label}, la prochaine carte va ici",
+      "slot.remove": "Retirer {card}",
+      "selected.heading": "Cartes choisies",
+      "selected.hand": "Main :",
+      "selected.cut": "Coupe :",
+      "error.badLink":
+        "Ce lien ne décrit pas une main valide - on repart de zéro",
+
+      // Score
+      "score.heading": "Score",
+      "score.totalLabel": "Total des points :",
+      "score.selectAll": "Choisissez les {count} cartes pour voir le score",
+      "score.mondorBefore": "Vous avez fait un ",
+      "score.mondorAfter": " - « 19 » points - Quelle misère",
+      "score.hidden": "Score caché jusqu'à ce que vous annonciez votre compte",
+      "score.announceHand": "La main vaut {total}",
+      "score.announceCrib": "Le crib vaut {total}",
+      "breakdown.claim": "{cards} ({points})",
+      "breakdown.highlight": "Mettre ces cartes en évidence",
+
+      // Count narration
+      "number.0": "zéro",
+      "number.1": "un",
+      "number.2": "deux",
+      "number.3": "trois",
+      "number.4": "quatre",
+      "number.5": "cinq",
+      "number.6": "six",
+      "number.7": "sept",
+      "number.8": "huit",
+      "number.9": "neuf",
+      "number.10": "dix",
+      "number.11": "onze",
+      "number.12": "douze",
+      "number.13": "treize",
+      "number.14": "quatorze",
+      "number.15": "quinze",
+      "number.16": "seize",
+      "number.17": "dix-sept",
+      "number.18": "dix-huit",
+      "number.19": "dix-neuf",
+      "number.20": "vingt",
+      "number.21": "vingt et un",
+      "number.22": "vingt-deux",
+      "number.23": "vingt-trois",
+      "number.24": "vingt-quatre",
+      "number.25": "vingt-cinq",
+      "number.26": "vingt-six",
+      "number.27": "vingt-sept",
+      "number.28": "vingt-huit",
+      "number.29": "vingt-neuf",
+      "number.30": "trente",
+      "number.31": "trente et un",
+      "narrate.fifteen": "quinze {total}",
+      "narrate.pair": "une paire, {total}",
+      "narrate.pairRoyal": "un brelan, {total}",
+      "narrate.doublePairRoyal": "un carré, {total}",
+      "narrate.run": "une suite de {length}, {total}",
+      "narrate.doubleRun": "une double suite de {length}, {total}",
+      "narrate.tripleRun": "une triple suite de {length}, {total}",
+      "narrate.doubleDoubleRun": "une double double suite de {length}, {total}",
+      "narrate.flush": "une couleur de {length}, {total}",
+      "narrate.nobs": "un pour nobs, {total}",
+      "narrate.heels": "deux pour le valet retourné, {total}",
+      "narrate.and": "et {phrase}",
+      "narrate.nothing": "dix-neuf (pas un point)",
+      "narration.read": "Lire à voix haute",
+      "narration.stop": "Arrêter",
+      "narration.rate": "Vitesse",
+
+      // Image export
+      "export.button": "Exporter en image",
+      "export.download": "Télécharger",
+      "export.copy": "Copier",
+      "export.close": "Fermer",
+      "export.copied": "Image copiée dans le presse-papiers",
+      "export.copyFailed":
+        "Impossible de copier l'image - téléchargez-la plutôt",
+      "export.alt": "La main comptée en image",
+
+      // Muggins
+      "muggins.title": "Muggins",
+      "muggins.note":
+        "Avec le muggins, le score reste caché jusqu'à ce que vous annonciez votre compte. Les points oubliés par le compteur vont à l'adversaire.",
+      "muggins.notice":
+        "Annoncez votre compte dans le panneau Muggins pour voir le score",
+      "muggins.enable": "Jouer au muggins",
+      "muggins.meCounting": "Je compte",
+      "muggins.opponentCounting": "L'adversaire compte",
+      "muggins.claim": "Annoncer",
+      "muggins.tallyLabel": "Muggins pris pendant cette session - ",
+      "muggins.resetTally": "Remettre à zéro",
+      "muggins.you": "Vous",
+      "muggins.opponent": "Adversaire",
+      "muggins.selectAll":
+        "Choisissez les {count} cartes avant d'annoncer un compte",
+      "muggins.negative": "Une annonce ne peut pas être négative",
+      "muggins.opponentTakes":
+        "Annoncé {claimed} sur {total} - l'adversaire prend {missed} au muggins",
+      "muggins.youTake":
+        "Annoncé {claimed} sur {total} - vous prenez {missed} au muggins",
+      "muggins.overClaimed":
+        "Annoncé {claimed} sur {total} - rien d'oublié, mais {over} de trop",
+      "muggins.perfect": "Annoncé {claimed} sur {total} - un compte parfait",
+      "muggins.missed": {
+        one: "Oublié en {category} : {count} point",
+        other: "Oublié en {category} : {count} points",
+      },
+      "muggins.missedDetails": "Annoncé {claimed} sur {actual} - {details}",
+      "muggins.overClaimedItem": {
+        one: "Trop annoncé en {category} : {count} point",
+        other: "Trop annoncé en {category} : {count} points",
+      },
+      "muggins.overClaimedDetails": "Annoncé {claimed}, vaut {actual}",
+
+      // Discard advisor
+      "discard.title": "Conseiller d'écart",
+      "discard.note":
+        "Choisissez les 6 cartes reçues. Chaque main gardée est comptée contre les 46 coupes possibles ; la colonne crib estime ce que valent les deux cartes écartées dans le crib.",
+      "discard.dealer": "Donneur (mon crib)",
+      "discard.pone": "Non-donneur (leur crib)",
+      "discard.deckLabel": "Paquet pour les cartes reçues",
+      "discard.full": "Six cartes déjà reçues - retirez-en une d'abord",
+      "discard.selectAll":
+        "Choisissez les 6 cartes reçues pour classer les mains gardées",
+      "discard.fourCardHands":
+        "Garder quatre cartes sur six demande des règles à mains de quatre cartes",
+      "discard.keep": "Garder",
+      "discard.throw": "Écarter",
+      "discard.min": "Min",
+      "discard.avg": "Moy.",
+      "discard.max": "Max",
+      "discard.cribPlus": "Crib (+)",
+      "discard.cribMinus": "Crib (−)",
+      "discard.net": "Net",
+      "discard.loadKeep": "Charger cette main dans les emplacements",
+      // Round scorer
+      "round.title": "Compteur de donne",
+      "round.note":
+        "Distribuez toute une donne : la main du non-donneur, celle du donneur et le crib, avec une seule coupe pour les trois. Chaque carte ne peut être distribuée qu'une fois.",
+      "round.pone": "Main du non-donneur",
+      "round.dealer": "Main du donneur",
+      "round.crib": "Crib",
+      "round.deckLabel": "Jeu de la donne",
+      "round.selectAll": {
+        one: "Distribuez encore 1 carte pour compter la donne",
+        other: "Distribuez encore {count} cartes pour compter la donne",
+      },
+      "round.handTotal": {
+        one: "{hand} : {count} point",
+        other: "{hand} : {count} points",
+      },
+      "round.load": "Ouvrir dans le compteur",
+      "round.poneTotal": "Non-donneur",
+      "round.dealerTotal": "Donneur",
+      "round.dealerSplit": "{hand} en main + {crib} au crib",
+
+      // Cut analysis
+      "cut.title": "Et si : analyse de la coupe",
+      "cut.note":
+        "Remplissez la main et laissez la coupe vide pour voir ce que vaudrait chaque coupe possible. Cliquez sur une coupe pour la marquer comme vue (une carte montrée par l'adversaire ou vos propres écarts) et la retirer des chances.",
+      "cut.clearSeen": "Effacer les cartes vues",
+      "cut.oddsLabel": "Chance d'atteindre au moins chaque total",
+      "cut.clearCut":
+        "Retirez la carte de coupe pour voir ce que vaudrait chaque coupe",
+      "cut.fillHand": {
+        one: "Remplissez la {count} carte de la main pour voir ce que vaudrait chaque coupe",
+        other:
+          "Remplissez les {count} cartes de la main pour voir ce que vaudrait chaque coupe",
+      },
+      "cut.allSeen":
+        "Toutes les autres cartes ont été vues - plus rien à couper",
+      "cut.summary": {
+        one: "{count} coupe possible · min {min} · moy. {avg} · max {max}",
+        other: "{count} coupes possibles · min {min} · moy. {avg} · max {max}",
+      },
+      "cut.seenCount": {
+        one: " · {count} vue",
+        other: " · {count} vues",
+      },
+      "cut.oddsTitle": "{chance} de chances de marquer au moins {points}",
+      "cut.rank": "Rang",
+      "cut.avg": "Moy.",
+      "cut.inHand": "{card} : dans votre main",
+      "cut.seen": "{card} : vue",
+      "cut.points": {
+        one: "{card} : {count} point",
+        other: "{card} : {count} points",
+      },
+      "cut.unsee": "Remettre dans le paquet",
+      "cut.markSeen": "Marquer comme vue",
+
+      // Pegging
+      "pegging.title": "Le jeu (pegging)",
+      "pegging.note":
+        "Cliquez sur les cartes dans l'ordre où elles ont été posées. Le non-donneur commence et les joueurs alternent ; appuyez sur Go quand le joueur ne peut pas jouer, et sur Passer quand celui qui doit relancer n'a plus de cartes.",
+      "pegging.count": "Total",
+      "pegging.pone": "Non-donneur",
+      "pegging.dealer": "Donneur",
+      "pegging.go": "Go",
+      "pegging.pass": "Passer",
+      "pegging.deckLabel": "Paquet pour les cartes jouées",
+      "pegging.fifteen": "Quinze",
+      "pegging.thirtyOne": "Trente et un",
+      "pegging.pair": "Paire",
+      "pegging.pairRoyal": "Brelan",
+      "pegging.doublePairRoyal": "Carré",
+      "pegging.run": "Suite de {length}",
+      "pegging.lastCard": "Dernière carte",
+      "pegging.past31": "{card} ferait dépasser 31 - {player} doit dire go",
+      "pegging.nothingPlayed":
+        "Rien n'a été joué depuis la remise à zéro du total",
+      "pegging.cannotPass":
+        "On ne passe qu'au début d'un nouveau total, quand celui qui doit jouer n'a plus de cartes",
+      "pegging.complete": "Jeu terminé",
+      "pegging.toPlay": "Au tour de : {player}",
+      "pegging.cardPlay": "{player} : {card} (total {count})",
+      "pegging.goPlay": "{player} : Go (total {count})",
+      "pegging.passPlay": "{player} n'a plus de cartes",
+      "pegging.points": {
+        one: "{reasons} - {count} point",
+        other: "{reasons} - {count} points",
+      },
+      "pegging.noPoints": "Aucun point",
+      "pegging.pegs": "{player} marque {reasons}",
+      "pegging.turnPasses": "Le tour passe",
+
+      // Pegging practice
+      "peggingPractice.title": "Entraînement au jeu",
+      "peggingPractice.note":
+        "Jouez quatre cartes contre l'ordinateur. Cliquez sur une carte pour la poser, et appuyez sur Go quand aucune ne passe sous 31. Ensuite, voyez quels coups ont marqué moins que la meilleure carte en main.",
+      "peggingPractice.strategy": "L'ordinateur joue",
+      "peggingPractice.strategy.random": "Au hasard",
+      "peggingPractice.strategy.greedy":
+        "Gourmand (le plus de points tout de suite)",
+      "peggingPractice.strategy.lookahead":
+        "Prévoyant (évite de laisser 5 et 21)",
+      "peggingPractice.rolePone": "Je commence (non-donneur)",
+      "peggingPractice.roleDealer": "L'ordinateur commence (je donne)",
+      "peggingPractice.deal": "Distribuer",
+      "peggingPractice.you": "Vous",
+      "peggingPractice.computer": "Ordinateur",
+      "peggingPractice.hand": "Votre main",
+      "peggingPractice.computerCards": {
+        one: "L'ordinateur a 1 carte",
+        other: "L'ordinateur a {count} cartes",
+      },
+      "peggingPractice.start": "Appuyez sur Distribuer pour commencer",
+      "peggingPractice.yourTurn": "À vous",
+      "peggingPractice.mustGo": "Aucune de vos cartes ne passe - dites go",
+      "peggingPractice.thinking": "L'ordinateur réfléchit…",
+      "peggingPractice.review": "Bilan",
+      "peggingPractice.perfect":
+        "Chaque carte posée a marqué autant que la meilleure de votre main",
+      "peggingPractice.miss":
+        "{card} au compte de {count} a marqué {points} ; {best} aurait marqué {bestPoints}",
+
+      // Game tracker
+      "game.title": "Suivi de partie",
+      "game.players": "Joueurs",
+      "game.player": "Joueur {number}",
+      "game.firstDealer": "Premier donneur",
+      "game.start": "Commencer la partie",
+      "game.boardLabel": "Planche de cribbage",
+      "game.postCurrent": "Inscrire le compte actuel",
+      "game.pegging": "Jeu",
+      "game.points": "Points",
+      "game.peg": "Marquer",
+      "game.end": "Terminer la partie",
+      "game.dealerName": "{name} (donneur)",
+      "game.skunked": "Capot",
+      "game.doubleSkunked": "Double capot",
+      "game.wins": "{name} gagne !",
+      "game.lowballWins": "{name} gagne : {loser} a atteint 121 en premier",
+      "game.nextCrib": "À compter : le crib de {name}",
+      "game.nextHand": "À compter : la main de {name}",
+      "game.post": "Inscrire {total} pour {name}",
+      "game.abandon": "Abandonner la partie en cours ?",
+      "game.selectAll": "Choisissez les {count} cartes pour inscrire un compte",
+      "game.needCrib": "C'est le tour du crib - passez en mode Crib",
+      "game.needHand": "C'est le tour d'une main - passez en mode Main",
+      "game.enterPoints": "Saisissez les points du jeu à ajouter",
+
+      // Distribution
+      "dist.title": "Distribution des scores",
+      "dist.hands": "Mains",
+      "dist.cribs": "Cribs",
+      "dist.allHands": "Les {count} combinaisons main + coupe",
+      "dist.allCribs": "Les {count} combinaisons crib + coupe",
+      "dist.workersUnavailable":
+        "Les workers sont indisponibles - servez la page en http pour voir la distribution",
+      "dist.beatsHands": "Ce {total} bat {percent} % des mains",
+      "dist.beatsCribs": "Ce {total} bat {percent} % des cribs",
+
+      // Practice
+      "practice.title": "Entraînement au comptage",
+      "practice.note":
+        "Distribuez une main et une coupe au hasard, comptez le plus vite possible et tapez les points de chaque catégorie. Le numéro de manche permet de rejouer une donne.",
+      "practice.deal": "Distribuer",
+      "practice.hardOnly": "Mains difficiles seulement",
+      "practice.round": "Manche",
+      "practice.replay": "Rejouer",
+      "practice.check": "Vérifier",
+      "practice.resetStats": "Remettre les stats à zéro",
+      "practice.enterRound":
+        "Saisissez la manche à rejouer, par exemple 1234 (ou 1234h pour les mains difficiles)",
+      "practice.enterCounts": "Tapez les points comptés pour chaque catégorie",
+      "practice.correct": "Correct - {total} en {seconds} s",
+      "practice.wrongSplit":
+        "Bon total, mauvaise répartition - {total} en {seconds} s",
+      "practice.categoryWrong":
+        "{category} : vous avez dit {claimed}, c'est {actual}",
+      "practice.wrong":
+        "Vous avez dit {guess}, c'est {total} ({diff}) - {seconds} s",
+      "practice.tooMany": "{count} de trop",
+      "practice.short": "{count} de moins",
+      "practice.roundLabel": "Manche {seed}",
+      "practice.roundLabelHard": "Manche {seed} (mains difficiles)",
+      "practice.noHands": "Aucune main comptée pour l'instant",
+      "practice.stats":
+        "{correct}/{answered} justes ({percent} %) · moy. {seconds} s · série {streak} (record {best})",
+
+      // History
+      "history.title": "Historique des scores",
+      "history.note":
+        "Appuyez sur Enregistrer dans l'historique sous le score pour y ajouter une main. Cliquez sur une main pour la rouvrir dans les emplacements.",
+      "history.save": "Enregistrer dans l'historique",
+      "history.saved": "Enregistrée dans l'historique",
+      "history.player": "Joueur",
+      "history.optional": "Facultatif",
+      "history.empty": "Aucune main comptée pour l'instant",
+      "history.concealed":
+        "Annoncez votre compte dans le panneau Muggins pour voir l'historique",
+      "history.exportCsv": "Exporter en CSV",
+      "history.exportJson": "Exporter en JSON",
+      "history.import": "Importer",
+      "history.clear": "Effacer l'historique",
+      "history.thisSession": "Cette session",
+      "history.allTime": "Depuis toujours",
+      "history.noHands": "{label} : aucune main",
+      "history.stats":
+        "{label} : {counted} · moy. main {hand} · moy. crib {crib} · meilleure main {best}{lowball} · {mondors}",
+      "history.bestLowball": " · meilleure main au lowball {best}",
+      "history.counted": {
+        one: "{count} comptée",
+        other: "{count} comptées",
+      },
+      "history.mondors": "{count} MONDOR",
+      "history.openTitle": "Rouvrir cette main dans les emplacements",
+      "history.hand": "main {total}",
+      "history.crib": "crib {total}",
+      "history.confirmClear": "Supprimer toutes les mains de l'historique ?",
+      "history.notExport": "{file} n'est pas un export d'historique",
+      "history.imported": {
+        one: "{count} main importée",
+        other: "{count} mains importées",
+      },
+      "history.skipped": {
+        one: " ({count} ignorée, invalide ou déjà présente)",
+        other: " ({count} ignorées, invalides ou déjà présentes)",
+      },
+
+      // Score reference
+      "reference.title": "Référence des scores",
+      "reference.scoreLabel": "Score de la main :",
+      "reference.selectLabel": "Choisissez un score de 1 à 29",
+      "reference.imageAlt": "Illustration du score {score}",
+      "reference.waysHeading": "Façons d'obtenir ce score",
+      "reference.impossibleOption": "{score} (impossible)",
+      "reference.impossible": "Aucune main ne vaut {score}.",
+      "reference.hands": {
+        one: " - {count} main, p. ex. ",
+        other: " - {count} mains, p. ex. ",
+      },
+      "reference.loadExample": "Charger cette main dans les emplacements",
+      "reference.workersUnavailable":
+        "Les workers sont indisponibles - servez la page en http pour voir de vrais exemples de mains",
+    },
+
+    de: {
+      // Page
+      "app.title": "Cribbage-Handzähler",
+      "app.heading": "🎴 🎲 🃁 Cribbage-Zähler 🃁 🎲 🎴",
+      "language.label": "Sprache",
+      "common.clear": "Leeren",
+      "common.reset": "Zurücksetzen",
+      "worker.scoring": "Alle Hände werden gezählt…",
+      "worker.progress": "Alle Hände werden gezählt… {percent} %",
+      "update.available": "Neue Version verfügbar",
+      "update.reload": "Neu laden",
+      "update.dismiss": "Später",
+
+      // Cards
+      "rank.A": "A",
+      "rank.2": "2",
+      "rank.3": "3",
+      "rank.4": "4",
+      "rank.5": "5",
+      "rank.6": "6",
+      "rank.7": "7",
+      "rank.8": "8",
+      "rank.9": "9",
+      "rank.10": "10",
+      "rank.J": "B",
+      "rank.Q": "D",
+      "rank.K": "K",
+      "rankName.A": "Ass",
+      "rankName.2": "Zwei",
+      "rankName.3": "Drei",
+      "rankName.4": "Vier",
+      "rankName.5": "Fünf",
+      "rankName.6": "Sechs",
+      "rankName.7": "Sieben",
+      "rankName.8": "Acht",
+      "rankName.9": "Neun",
+      "rankName.10": "Zehn",
+      "rankName.J": "Bube",
+      "rankName.Q": "Dame",
+      "rankName.K": "König",
+      "suitName.spades": "Pik",
+      "suitName.hearts": "Herz",
+      "suitName.diamonds": "Karo",
+      "suitName.clubs": "Kreuz",
+      "card.name": "{suit} {rank}",
+
+      // Typed card entry
+      "parse.oneBar": "Nur ein „|“ zum Abtrennen der Schnittkarte",
+      "parse.notACard": "„{token}“ ist keine Karte",
+      "parse.duplicate": "{card} wurde mehrfach eingegeben",
+      "parse.handSize": {
+        one: "Eine Hand hat {size} Karte, eingegeben: {count}",
+        other: "Eine Hand hat {size} Karten, eingegeben: {count}",
+      },
+      "parse.cutCount": "Nur eine Schnittkarte, eingegeben: {count}",
+
+      // Scoring
+      "pairs.pair": "Paar {rank}",
+      "pairs.three": "Drilling {rank}",
+      "pairs.four": "Vierling {rank}",
+      "describe.fifteens": {
+        one: "Fünfzehner: {count} Punkt",
+        other: "Fünfzehner: {count} Punkte",
+      },
+      "describe.combinations": {
+        one: "{count} Kombination",
+        other: "{count} Kombinationen",
+      },
+      "describe.pairs": {
+        one: "Paare: {count} Punkt",
+        other: "Paare: {count} Punkte",
+      },
+      "describe.run": "Folge von {length}",
+      "describe.runMultiplier": "Folge von {length} ({multiplier}-fach)",
+      "describe.runs": {
+        one: "Folgen: {count} Punkt",
+        other: "Folgen: {count} Punkte",
+      },
+      "describe.flush": {
+        one: "Flush: {count} Punkt",
+        other: "Flush: {count} Punkte",
+      },
+      "describe.flushCrib": "Alle 5 Karten in einer Farbe",
+      "describe.flushHandCut": "Hand und Schnittkarte in einer Farbe",
+      "describe.flushCribFour": "Crib-Flush ohne Schnittkarte",
+      "describe.flushHand": "Flush auf der Hand",
+      "describe.nobs": {
+        one: "Nobs: {count} Punkt",
+        other: "Nobs: {count} Punkte",
+      },
+      "describe.nobsDetails": "Bube {card} hat die Farbe der Schnittkarte",
+      "describe.heels": {
+        one: "Geschnittener Bube: {count} Punkt",
+        other: "Geschnittener Bube: {count} Punkte",
+      },
+      "describe.heelsDetails": "{card} für den Geber geschnitten",
+      "label.fifteensOne": "Ein Fünfzehner (2)",
+      "label.fifteens": "{count} Fünfzehner ({points})",
+      "label.pair": "Paar (2)",
+      "label.twoPairs": "Zwei Paare (4)",
+      "label.threeOfAKind": "Drilling (6)",
+      "label.threeOfAKindPair": "Drilling + Paar (8)",
+      "label.fourOfAKind": "Vierling (12)",
+      "label.run": "Folge von {length} ({points})",
+      "label.doubleRun": "Doppelfolge von {length} ({points})",
+      "label.tripleRun": "Dreifachfolge von {length} ({points})",
+      "label.doubleDoubleRun": "Doppel-Doppelfolge von {length} ({points})",
+      "label.cribFlush": "Crib-Flush (5)",
+      "label.handFlush": "Hand-Flush (4)",
+      "label.handCutFlush": "Flush mit Schnittkarte (5)",
+      "label.nobs": "Nobs (1)",
+      "category.fifteens": "Fünfzehner",
+      "category.pairs": "Paare",
+      "category.runs": "Folgen",
+      "category.flush": "Flush",
+      "category.nobs": "Nobs",
+      "category.heels": "Geschnittener Bube",
+      "categoryText.fifteens": "Fünfzehner",
+      "categoryText.pairs": "Paare",
+      "categoryText.runs": "Folgen",
+      "categoryText.flush": "Flush",
+      "categoryText.nobs": "Nobs",
+      "categoryText.heels": "geschnittener Bube",
+
+      // Rules
+      "mode.hand": "Hand",
+      "mode.crib": "Crib",
+      "rules.label": "Regeln",
+      "rules.cribFourFlush": "Crib-Flush mit 4 Karten",
+      "rules.hisHeels": "Geschnittener Bube im Crib",
+      "ruleset.standard": "Standard (2 bis 4 Spieler)",
+      "ruleset.fiveCard": "Fünf Karten",
+      "ruleset.lowball": "Lowball (niedrig gewinnt)",
+
+      // Card selection
+      "select.heading": "Karten wählen",
+      "select.instruction":
+        "Wähle {total} Karten aus dem Deck unten: {count} für deine Hand und 1 Schnittkarte. Klicke auf ein Feld, um es als Nächstes zu füllen, oder ziehe Karten zwischen Feldern, um sie zu tauschen",
+      "entry.label": "Karten eintippen",
+      "entry.button": "Übernehmen",
+      "undo.button": "Rückgängig",
+      "undo.title": "Rückgängig (Strg+Z)",
+      "redo.button": "Wiederholen",
+      "redo.title": "Wiederholen (Strg+Umschalt+Z)",
+      "hand.heading": {
+        one: "Hand ({count} Karte)",
+        other: "Hand ({count} Karten)",
+      },
+      "cut.heading": "Schnittkarte",
+      "deck.heading": "Deck",
+      "deck.label": "Deck",
+      "slot.card": "Karte {number}",
+      "slot.cut": "Schnittkarte",
+      "slot.filled": "{slot}: {card}",
+      "slot.empty": "{slot}: leer",
+      "slot.target": "{label}, nächste Karte kommt hierhin",
+      "slot.remove": "{card} entfernen",
+      "selected.heading": "Gewählte Karten",
+      "selected.hand": "Hand:",
+      "selected.cut": "Schnitt:",
+      "error.badLink":
+        "Dieser Link beschreibt keine gültige Hand - es geht leer los",
+
+      // Score
+      "score.heading": "Punkte",
+      "score.totalLabel": "Gesamtpunkte:",
+      "score.selectAll": "Wähle alle {count} Karten, um die Punkte zu sehen",
+      "score.mondorBefore": "Du hast einen ",
+      "score.mondorAfter": " - „19“ Punkte - Pech gehabt",
+      "score.hidden": "Punkte verborgen, bis du deine Zählung ansagst",
+      "score.announceHand": "Die Hand zählt {total}",
+      "score.announceCrib": "Das Crib zählt {total}",
+      "breakdown.claim": "{cards} ({points})",
+      "breakdown.highlight": "Diese Karten hervorheben",
+
+      // Count narration
+      "number.0": "null",
+      "number.1": "eins",
+      "number.2": "zwei",
+      "number.3": "drei",
+      "number.4": "vier",
+      "number.5": "fünf",
+      "number.6": "sechs",
+      "number.7": "sieben",
+      "number.8": "acht",
+      "number.9": "neun",
+      "number.10": "zehn",
+      "number.11": "elf",
+      "number.12": "zwölf",
+      "number.13": "dreizehn",
+      "number.14": "vierzehn",
+      "number.15": "fünfzehn",
+      "number.16": "sechzehn",
+      "number.17": "siebzehn",
+      "number.18": "achtzehn",
+      "number.19": "neunzehn",
+      "number.20": "zwanzig",
+      "number.21": "einundzwanzig",
+      "number.22": "zweiundzwanzig",
+      "number.23": "dreiundzwanzig",
+      "number.24": "vierundzwanzig",
+      "number.25": "fünfundzwanzig",
+      "number.26": "sechsundzwanzig",
+      "number.27": "siebenundzwanzig",
+      "number.28": "achtundzwanzig",
+      "number.29": "neunundzwanzig",
+      "number.30": "dreißig",
+      "number.31": "einunddreißig",
+      "narrate.fifteen": "fünfzehn {total}",
+      "narrate.pair": "ein Paar macht {total}",
+      "narrate.pairRoyal": "ein Drilling macht {total}",
+      "narrate.doublePairRoyal": "ein Vierling macht {total}",
+      "narrate.run": "eine Folge von {length} macht {total}",
+      "narrate.doubleRun": "eine doppelte Folge von {length} macht {total}",
+      "narrate.tripleRun": "eine dreifache Folge von {length} macht {total}",
+      "narrate.doubleDoubleRun":
+        "eine doppelt doppelte Folge von {length} macht {total}",
+      "narrate.flush": "ein Flush von {length} macht {total}",
+      "narrate.nobs": "eins für Nobs macht {total}",
+      "narrate.heels": "zwei für den geschnittenen Buben macht {total}",
+      "narrate.and": "und {phrase}",
+      "narrate.nothing": "neunzehn (kein Punkt)",
+      "narration.read": "Vorlesen",
+      "narration.stop": "Stopp",
+      "narration.rate": "Tempo",
+
+      // Image export
+      "export.button": "Als Bild exportieren",
+      "export.download": "Herunterladen",
+      "export.copy": "Kopieren",
+      "export.close": "Schließen",
+      "export.copied": "Bild in die Zwischenablage kopiert",
+      "export.copyFailed":
+        "Das Bild konnte nicht kopiert werden - lade es stattdessen herunter",
+      "export.alt": "Die gezählte Hand als Bild",
+
+      // Muggins
+      "muggins.title": "Muggins",
+      "muggins.note":
+        "Mit Muggins bleiben die Punkte verborgen, bis du deine Zählung ansagst. Punkte, die der Zählende übersieht, gehen an die Gegenseite.",
+      "muggins.notice":
+        "Sag deine Zählung im Muggins-Bereich an, um die Punkte zu sehen",
+      "muggins.enable": "Muggins spielen",
+      "muggins.meCounting": "Ich zähle",
+      "muggins.opponentCounting": "Gegner zählt",
+      "muggins.claim": "Ansagen",
+      "muggins.tallyLabel": "Muggins in dieser Sitzung - ",
+      "muggins.resetTally": "Stand zurücksetzen",
+      "muggins.you": "Du",
+      "muggins.opponent": "Gegner",
+      "muggins.selectAll":
+        "Wähle alle {count} Karten, bevor du eine Zählung ansagst",
+      "muggins.negative": "Ansagen können nicht negativ sein",
+      "muggins.opponentTakes":
+        "{claimed} von {total} angesagt - der Gegner nimmt {missed} per Muggins",
+      "muggins.youTake":
+        "{claimed} von {total} angesagt - du nimmst {missed} per Muggins",
+      "muggins.overClaimed":
+        "{claimed} von {total} angesagt - nichts übersehen, aber {over} zu viel",
+      "muggins.perfect": "{claimed} von {total} angesagt - perfekt gezählt",
+      "muggins.missed": {
+        one: "Übersehen bei {category}: {count} Punkt",
+        other: "Übersehen bei {category}: {count} Punkte",
+      },
+      "muggins.missedDetails": "{claimed} von {actual} angesagt - {details}",
+      "muggins.overClaimedItem": {
+        one: "Zu viel bei {category}: {count} Punkt",
+        other: "Zu viel bei {category}: {count} Punkte",
+      },
+      "muggins.overClaimedDetails": "{claimed} angesagt, wert {actual}",
+
+      // Discard advisor
+      "discard.title": "Abwurf-Berater",
+      "discard.note":
+        "Wähle die 6 Karten, die du bekommen hast. Jede behaltene Hand wird gegen alle 46 möglichen Schnittkarten gezählt; die Crib-Spalte schätzt, was die zwei abgeworfenen Karten im Crib wert sind.",
+      "discard.dealer": "Geber (mein Crib)",
+      "discard.pone": "Nichtgeber (ihr Crib)",
+      "discard.deckLabel": "Deck für die ausgeteilten Karten",
+      "discard.full": "Schon sechs Karten ausgeteilt - entferne zuerst eine",
+      "discard.selectAll":
+        "Wähle alle 6 ausgeteilten Karten, um die Hände zu bewerten",
+      "discard.fourCardHands":
+        "Vier von sechs Karten behalten geht nur mit Regeln für Hände aus vier Karten",
+      "discard.keep": "Behalten",
+      "discard.throw": "Abwerfen",
+      "discard.min": "Min",
+      "discard.avg": "Schnitt",
+      "discard.max": "Max",
+      "discard.cribPlus": "Crib (+)",
+      "discard.cribMinus": "Crib (−)",
+      "discard.net": "Netto",
+      "discard.loadKeep": "Diese Hand in die Felder laden",
+      // Round scorer
+      "round.title": "Rundenzähler",
+      "round.note":
+        "Gib eine ganze Runde: die Hand des Nichtgebers, die Hand des Gebers und das Crib, mit einem Schnitt für alle drei. Jede Karte kann nur einmal gegeben werden.",
+      "round.pone": "Hand des Nichtgebers",
+      "round.dealer": "Hand des Gebers",
+      "round.crib": "Crib",
+      "round.deckLabel": "Deck für die Runde",
+      "round.selectAll": {
+        one: "Noch 1 Karte geben, um die Runde zu zählen",
+        other: "Noch {count} Karten geben, um die Runde zu zählen",
+      },
+      "round.handTotal": {
+        one: "{hand}: {count} Punkt",
+        other: "{hand}: {count} Punkte",
+      },
+      "round.load": "Im Zähler öffnen",
+      "round.poneTotal": "Nichtgeber",
+      "round.dealerTotal": "Geber",
+      "round.dealerSplit": "{hand} auf der Hand + {crib} im Crib",
+
+      // Cut analysis
+      "cut.title": "Was wäre wenn: Schnittanalyse",
+      "cut.note":
+        "Fülle die Hand und lass die Schnittkarte leer, um zu sehen, was jede mögliche Schnittkarte bringen würde. Klicke auf eine Karte, um sie als gesehen zu markieren (eine offene Karte des Gegners oder deine eigenen Abwürfe) und aus den Chancen zu nehmen.",
+      "cut.clearSeen": "Gesehene Karten leeren",
+      "cut.oddsLabel": "Chance, mindestens jede Punktzahl zu erreichen",
+      "cut.clearCut":
+        "Entferne die Schnittkarte, um zu sehen, was jede Schnittkarte bringen würde",
+      "cut.fillHand": {
+        one: "Fülle die {count} Handkarte, um zu sehen, was jede Schnittkarte bringen würde",
+        other:
+          "Fülle alle {count} Handkarten, um zu sehen, was jede Schnittkarte bringen würde",
+      },
+      "cut.allSeen":
+        "Alle anderen Karten wurden gesehen - es bleibt nichts zum Schneiden",
+      "cut.summary": {
+        one: "{count} mögliche Schnittkarte · min {min} · Schnitt {avg} · max {max}",
+        other:
+          "{count} mögliche Schnittkarten · min {min} · Schnitt {avg} · max {max}",
+      },
+      "cut.seenCount": " · {count} gesehen",
+      "cut.oddsTitle": "{chance} Chance auf mindestens {points}",
+      "cut.rank": "Rang",
+      "cut.avg": "Schnitt",
+      "cut.inHand": "{card}: auf deiner Hand",
+      "cut.seen": "{card}: gesehen",
+      "cut.points": {
+        one: "{card}: {count} Punkt",
+        other: "{card}: {count} Punkte",
+      },
+      "cut.unsee": "Zurück ins Deck",
+      "cut.markSeen": "Als gesehen markieren",
+
+      // Pegging
+      "pegging.title": "Pegging (das Spiel)",
+      "pegging.note":
+        "Klicke die Karten in der Reihenfolge an, in der sie gelegt wurden. Der Nichtgeber beginnt, dann wird abgewechselt; drücke Go, wenn der Spieler am Zug nicht legen kann, und Passen, wenn der Spieler, der neu anspielt, keine Karten mehr hat.",
+      "pegging.count": "Stand",
+      "pegging.pone": "Nichtgeber",
+      "pegging.dealer": "Geber",
+      "pegging.go": "Go",
+      "pegging.pass": "Passen",
+      "pegging.deckLabel": "Deck für die gespielten Karten",
+      "pegging.fifteen": "Fünfzehn",
+      "pegging.thirtyOne": "Einunddreißig",
+      "pegging.pair": "Paar",
+      "pegging.pairRoyal": "Drilling",
+      "pegging.doublePairRoyal": "Vierling",
+      "pegging.run": "Folge von {length}",
+      "pegging.lastCard": "Letzte Karte",
+      "pegging.past31":
+        "{card} würde den Stand über 31 bringen - {player} muss Go sagen",
+      "pegging.nothingPlayed":
+        "Seit dem Zurücksetzen des Stands wurde nichts gespielt",
+      "pegging.cannotPass":
+        "Passen geht nur, wenn ein neuer Stand beginnt und der Spieler am Zug keine Karten mehr hat",
+      "pegging.complete": "Spiel beendet",
+      "pegging.toPlay": "{player} ist am Zug",
+      "pegging.cardPlay": "{player}: {card} (Stand {count})",
+      "pegging.goPlay": "{player}: Go (Stand {count})",
+      "pegging.passPlay": "{player} hat keine Karten mehr",
+      "pegging.points": {
+        one: "{reasons} - {count} Punkt",
+        other: "{reasons} - {count} Punkte",
+      },
+      "pegging.noPoints": "Keine Punkte",
+      "pegging.pegs": "{player} bekommt {reasons}",
+      "pegging.turnPasses": "Der Zug geht weiter",
+
+      // Pegging practice
+      "peggingPractice.title": "Legetraining",
+      "peggingPractice.note":
+        "Spiele vier Karten gegen den Computer. Klicke eine Karte an, um sie zu legen, und drücke Go, wenn keine deiner Karten unter 31 bleibt. Danach siehst du, welche Züge weniger gebracht haben als die beste Karte auf der Hand.",
+      "peggingPractice.strategy": "Der Computer spielt",
+      "peggingPractice.strategy.random": "Zufällig",
+      "peggingPractice.strategy.greedy": "Gierig (sofort die meisten Punkte)",
+      "peggingPractice.strategy.lookahead":
+        "Vorausschauend (lässt keine 5 und 21 liegen)",
+      "peggingPractice.rolePone": "Ich beginne (Nichtgeber)",
+      "peggingPractice.roleDealer": "Der Computer beginnt (ich gebe)",
+      "peggingPractice.deal": "Austeilen",
+      "peggingPractice.you": "Du",
+      "peggingPractice.computer": "Computer",
+      "peggingPractice.hand": "Deine Hand",
+      "peggingPractice.computerCards": {
+        one: "Der Computer hat 1 Karte",
+        other: "Der Computer hat {count} Karten",
+      },
+      "peggingPractice.start": "Drücke Austeilen, um zu beginnen",
+      "peggingPractice.yourTurn": "Du bist dran",
+      "peggingPractice.mustGo": "Keine deiner Karten passt - sag Go",
+      "peggingPractice.thinking": "Der Computer überlegt…",
+      "peggingPractice.review": "Auswertung",
+      "peggingPractice.perfect":
+        "Jede gelegte Karte hat so viel gebracht wie die beste Karte auf deiner Hand",
+      "peggingPractice.miss":
+        "{card} bei Stand {count} brachte {points}; {best} hätte {bestPoints} gebracht",
+
+      // Game tracker
+      "game.title": "Spielstand",
+      "game.players": "Spieler",
+      "game.player": "Spieler {number}",
+      "game.firstDealer": "Erster Geber",
+      "game.start": "Spiel starten",
+      "game.boardLabel": "Cribbage-Brett",
+      "game.postCurrent": "Aktuelle Zählung eintragen",
+      "game.pegging": "Pegging",
+      "game.points": "Punkte",
+      "game.peg": "Stecken",
+      "game.end": "Spiel beenden",
+      "game.dealerName": "{name} (Geber)",
+      "game.skunked": "Schneider",
+      "game.doubleSkunked": "Doppelt Schneider",
+      "game.wins": "{name} gewinnt!",
+      "game.lowballWins": "{name} gewinnt: {loser} hat zuerst 121 erreicht",
+      "game.nextCrib": "Als Nächstes zählen: Crib von {name}",
+      "game.nextHand": "Als Nächstes zählen: Hand von {name}",
+      "game.post": "{total} für {name} eintragen",
+      "game.abandon": "Das laufende Spiel abbrechen?",
+      "game.selectAll":
+        "Wähle alle {count} Karten, um eine Zählung einzutragen",
+      "game.needCrib":
+        "Jetzt wird das Crib gezählt - wechsle in den Crib-Modus",
+      "game.needHand":
+        "Jetzt wird eine Hand gezählt - wechsle in den Hand-Modus",
+      "game.enterPoints": "Gib die Pegging-Punkte ein",
+
+      // Distribution
+      "dist.title": "Punkteverteilung",
+      "dist.hands": "Hände",
+      "dist.cribs": "Cribs",
+      "dist.allHands": "Alle {count} Kombinationen aus Hand und Schnittkarte",
+      "dist.allCribs": "Alle {count} Kombinationen aus Crib und Schnittkarte",
+      "dist.workersUnavailable":
+        "Hintergrund-Worker sind nicht verfügbar - rufe die Seite über http auf, um die Verteilung zu sehen",
+      "dist.beatsHands": "Diese {total} schlägt {percent} % der Hände",
+      "dist.beatsCribs": "Diese {total} schlägt {percent} % der Cribs",
+
+      // Practice
+      "practice.title": "Zähltraining",
+      "practice.note":
+        "Teile eine zufällige Hand mit Schnittkarte aus, zähle so schnell du kannst und gib die Punkte je Kategorie ein. Mit der Rundennummer lässt sich ein Blatt wiederholen.",
+      "practice.deal": "Austeilen",
+      "practice.hardOnly": "Nur schwere Hände",
+      "practice.round": "Runde",
+      "practice.replay": "Wiederholen",
+      "practice.check": "Prüfen",
+      "practice.resetStats": "Statistik zurücksetzen",
+      "practice.enterRound":
+        "Gib die Runde zum Wiederholen ein, etwa 1234 (oder 1234h für schwere Hände)",
+      "practice.enterCounts": "Gib die gezählten Punkte je Kategorie ein",
+      "practice.correct": "Richtig - {total} in {seconds} s",
+      "practice.wrongSplit":
+        "Richtige Summe, falsch aufgeteilt - {total} in {seconds} s",
+      "practice.categoryWrong":
+        "{category}: du hast {claimed} gesagt, es sind {actual}",
+      "practice.wrong":
+        "Du hast {guess} gesagt, es sind {total} ({diff}) - {seconds} s",
+      "practice.tooMany": "{count} zu viel",
+      "practice.short": "{count} zu wenig",
+      "practice.roundLabel": "Runde {seed}",
+      "practice.roundLabelHard": "Runde {seed} (schwere Hände)",
+      "practice.noHands": "Noch keine Hände gezählt",
+      "practice.stats":
+        "{correct}/{answered} richtig ({percent} %) · Schnitt {seconds} s · Serie {streak} (beste {best})",
+
+      // History
+      "history.title": "Punkteverlauf",
+      "history.note":
+        "Drücke Im Verlauf speichern unter den Punkten, um eine Hand hier festzuhalten. Klicke eine an, um sie wieder in die Felder zu laden.",
+      "history.save": "Im Verlauf speichern",
+      "history.saved": "Im Verlauf gespeichert",
+      "history.player": "Spieler",
+      "history.optional": "Optional",
+      "history.empty": "Noch keine Hände gezählt",
+      "history.concealed":
+        "Sag deine Zählung im Muggins-Bereich an, um den Verlauf zu sehen",
+      "history.exportCsv": "Als CSV exportieren",
+      "history.exportJson": "Als JSON exportieren",
+      "history.import": "Importieren",
+      "history.clear": "Verlauf löschen",
+      "history.thisSession": "Diese Sitzung",
+      "history.allTime": "Insgesamt",
+      "history.noHands": "{label}: noch keine Hände",
+      "history.stats":
+        "{label}: {counted} · Schnitt Hand {hand} · Schnitt Crib {crib} · beste Hand {best}{lowball} · {mondors}",
+      "history.bestLowball": " · beste Lowball-Hand {best}",
+      "history.counted": "{count} gezählt",
+      "history.mondors": {
+        one: "{count} MONDOR",
+        other: "{count} MONDORs",
+      },
+      "history.openTitle": "Diese Hand wieder in die Felder laden",
+      "history.hand": "Hand {total}",
+      "history.crib": "Crib {total}",
+      "history.confirmClear": "Alle Hände aus dem Verlauf löschen?",
+      "history.notExport": "{file} ist kein Verlaufsexport",
+      "history.imported": {
+        one: "{count} Hand importiert",
+        other: "{count} Hände importiert",
+      },
+      "history.skipped":
+        " ({count} übersprungen, ungültig oder schon vorhanden)",
+
+      // Score reference
+      "reference.title": "Punktereferenz",
+      "reference.scoreLabel": "Punkte der Hand:",
+      "reference.selectLabel": "Wähle eine Punktzahl von 1 bis 29",
+      "reference.imageAlt": "Illustration zu {score} Punkten",
+      "reference.waysHeading": "Wege zu dieser Punktzahl",
+      "reference.impossibleOption": "{score} (unmöglich)",
+      "reference.impossible": "Keine Hand zählt {score}.",
+      "reference.hands": {
+        one: " - {count} Hand, z. B. ",
+        other: " - {count} Hände, z. B. ",
+      },
+      "reference.loadExample": "Diese Hand in die Felder laden",
+      "reference.workersUnavailable":
+        "Hintergrund-Worker sind nicht verfügbar - rufe die Seite über http auf, um echte Beispielhände zu sehen",
+    },
+  };
+
+  let language = DEFAULT_LANGUAGE;
+  let pluralRules = new Intl.PluralRules(language);
+
+  function getLanguage() {
+    return language;
+  }
+
+  // Switch every later message to a language; false if it isn't supported
+  function setLanguage(lang) {
+    if (!MESSAGES[lang]) return false;
+    language = lang;
+    pluralRules = new Intl.PluralRules(lang);
+    return true;
+  }
+
+  // First supported language among preferences like navigator.languages
+  // ("fr-CA" matches "fr"), falling back to English
+  function matchLanguage(preferred) {
+    for (const tag of preferred || []) {
+      const base = String(tag).toLowerCase().split("-")[0];
+      if (MESSAGES[base]) return base;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  // Look up a message in the current language (English when it's missing)
+  // and fill in its {placeholders}; numbers get the language's digit
+  // grouping, so pass anything that shouldn't (like a seed) as a string
+  function t(key, params = {}) {
+    let message = MESSAGES[language][key];
+    if (message === undefined) message = MESSAGES[DEFAULT_LANGUAGE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === "object") {
+      message = message[pluralRules.select(params.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === "number"
+        ? value.toLocaleString(language)
+        : String(value);
+    });
+  }
+
+  // Decimal numbers with the language's separators: 16.5 -> "16,5" in French
+  function formatNumber(value, digits = 0) {
+    return value.toLocaleString(language, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+  }
+
+  function formatRankLabel(rank) {
+    return t(`rank.${rank}`);
+  }
+
+  // A card as shown on screen: "R♥" for the king of hearts in French
+  function formatCardLabel(card) {
+    if (!card) return "";
+    return `${formatRankLabel(card.rank)}${card.suit}`;
+  }
+
+  // Relabel an already formatted card ("K♥") for display
+  function localizeCardText(text) {
+    const rank = text.slice(0, -1);
+    const label = MESSAGES[DEFAULT_LANGUAGE][`rank.${rank}`];
+    return label === undefined
+      ? text
+      : `${formatRankLabel(rank)}${text.slice(-1)}`;
+  }
+
+  return {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    MESSAGES,
+    getLanguage,
+    setLanguage,
+    matchLanguage,
+    t,
+    formatNumber,
+    formatRankLabel,
+    formatCardLabel,
+    localizeCardText,
+  };
+});
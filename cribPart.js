@@ -1,366 +1,163 @@
 // Cribbage Hand Counter
-// Standard 52-card deck scoring
-
-// Card data structure: { rank: 'A'|'2'|...|'K', suit: '♠'|'♥'|'♦'|'♣' }
-const RANKS = [
-  "A",
-  "2",
-  "3",
-  "4",
-  "5",
-  "6",
-  "7",
-  "8",
-  "9",
-  "10",
-  "J",
-  "Q",
-  "K",
-];
-const SUITS = ["♠", "♥", "♦", "♣"];
-
-// Initialize deck
-const DECK = [];
-RANKS.forEach((rank) => {
-  SUITS.forEach((suit) => {
-    DECK.push({ rank, suit });
-  });
-});
-
-// Get card value for fifteens (A=1, 2-10 face value, J/Q/K=10)
-function getCardValue(card) {
-  if (card.rank === "A") return 1;
-  if (["J", "Q", "K"].includes(card.rank)) return 10;
-  return parseInt(card.rank);
-}
-
-// Parse card string "A♠" to { rank: 'A', suit: '♠' }
-function parseCard(cardString) {
-  if (!cardString) return null;
-  const suit = cardString.slice(-1);
-  const rank = cardString.slice(0, -1);
-  if (RANKS.includes(rank) && SUITS.includes(suit)) {
-    return { rank, suit };
-  }
-  return null;
-}
-
-// Format card object to string
-function formatCard(card) {
-  if (!card) return "";
-  return `${card.rank}${card.suit}`;
-}
-
-// Score fifteens: all combinations that sum to 15
-function scoreFifteens(cards) {
-  const n = cards.length;
-  let totalPoints = 0;
-  const combinations = [];
-
-  // Generate all non-empty subsets
-  for (let mask = 1; mask < 1 << n; mask++) {
-    const combo = [];
-    let sum = 0;
-    for (let i = 0; i < n; i++) {
-      if (mask & (1 << i)) {
-        combo.push(cards[i]);
-        sum += getCardValue(cards[i]);
-      }
-    }
-    if (sum === 15) {
-      totalPoints += 2;
-      combinations.push(combo.map(formatCard));
-    }
-  }
-
-  return { points: totalPoints, combinations };
-}
-
-// Score pairs: 2 for pair, 6 for three-of-a-kind, 12 for four-of-a-kind
-function scorePairs(cards) {
-  const rankCounts = {};
-  cards.forEach((card) => {
-    rankCounts[card.rank] = (rankCounts[card.rank] || 0) + 1;
-  });
-
-  let totalPoints = 0;
-  const pairs = [];
-
-  Object.entries(rankCounts).forEach(([rank, count]) => {
-    if (count >= 2) {
-      let points = 0;
-      if (count === 2) {
-        points = 2;
-        pairs.push(`Pair of ${rank}s`);
-      } else if (count === 3) {
-        points = 6; // 3 choose 2 = 3 pairs, each worth 2
-        pairs.push(`Three ${rank}s`);
-      } else if (count === 4) {
-        points = 12; // 4 choose 2 = 6 pairs, each worth 2
-        pairs.push(`Four ${rank}s`);
-      }
-      totalPoints += points;
-    }
-  });
-
-  return { points: totalPoints, pairs };
-}
-
-// Get numeric rank for run detection (A=1, 2-10 face value, J=11, Q=12, K=13)
-function getNumericRank(card) {
-  if (card.rank === "A") return 1;
-  if (card.rank === "J") return 11;
-  if (card.rank === "Q") return 12;
-  if (card.rank === "K") return 13;
-  return parseInt(card.rank);
-}
-
-// Score runs: detect runs of 3, 4, or 5 cards
-// In cribbage, you score the longest run, with multiplier based on duplicates
-function scoreRuns(cards) {
-  if (cards.length < 3) return { points: 0, runs: [] };
-
-  // Group by rank to handle duplicates
-  const rankGroups = {};
-  cards.forEach((card) => {
-    const rank = getNumericRank(card);
-    if (!rankGroups[rank]) {
-      rankGroups[rank] = [];
-    }
-    rankGroups[rank].push(card);
-  });
-
-  const ranks = Object.keys(rankGroups)
-    .map(Number)
-    .sort((a, b) => a - b);
-
-  // Find the longest run (cribbage rules: score only the longest run)
-  let bestRun = null;
-  let bestLength = 0;
-
-  // Check for runs of 5
-  if (ranks.length >= 5) {
-    for (let i = 0; i <= ranks.length - 5; i++) {
-      if (ranks[i + 4] === ranks[i] + 4) {
-        let multiplier = 1;
-        const runRanks = [];
-        for (let j = 0; j < 5; j++) {
-          const rank = ranks[i + j];
-          runRanks.push(rank);
-          multiplier *= rankGroups[rank].length;
-        }
-        if (5 > bestLength) {
-          bestLength = 5;
-          bestRun = { length: 5, multiplier, ranks: runRanks };
-        }
-      }
-    }
-  }
-
-  // Check for runs of 4 (only if no run of 5 found)
-  if (bestLength < 4 && ranks.length >= 4) {
-    for (let i = 0; i <= ranks.length - 4; i++) {
-      if (ranks[i + 3] === ranks[i] + 3) {
-        let multiplier = 1;
-        const runRanks = [];
-        for (let j = 0; j < 4; j++) {
-          const rank = ranks[i + j];
-          runRanks.push(rank);
-          multiplier *= rankGroups[rank].length;
-        }
-        if (4 > bestLength) {
-          bestLength = 4;
-          bestRun = { length: 4, multiplier, ranks: runRanks };
-        }
-      }
-    }
-  }
-
-  // Check for runs of 3 (only if no run of 4 or 5 found)
-  if (bestLength < 3 && ranks.length >= 3) {
-    for (let i = 0; i <= ranks.length - 3; i++) {
-      if (ranks[i + 2] === ranks[i] + 2) {
-        let multiplier = 1;
-        const runRanks = [];
-        for (let j = 0; j < 3; j++) {
-          const rank = ranks[i + j];
-          runRanks.push(rank);
-          multiplier *= rankGroups[rank].length;
-        }
-        if (3 > bestLength) {
-          bestLength = 3;
-          bestRun = { length: 3, multiplier, ranks: runRanks };
-        }
-      }
-    }
-  }
-
-  if (!bestRun) {
-    return { points: 0, runs: [] };
-  }
-
-  // Build the cards list for display
-  const runCards = [];
-  bestRun.ranks.forEach((rank) => {
-    runCards.push(...rankGroups[rank]);
-  });
-
-  const totalPoints = bestRun.length * bestRun.multiplier;
-  const runs = [
-    {
-      length: bestRun.length,
-      multiplier: bestRun.multiplier,
-      cards: runCards.map(formatCard),
-    },
-  ];
-
-  return { points: totalPoints, runs };
-}
-
-// Score flush: hand flush = 4, with cut matching = 5, crib flush requires all 5
-function scoreFlush(cards, isCrib) {
-  if (cards.length < 4) return { points: 0 };
-
-  const handCards = cards.slice(0, 4);
-  const cutCard = cards[4];
-
-  // Check if all hand cards have same suit
-  const firstSuit = handCards[0].suit;
-  const isHandFlush = handCards.every((card) => card.suit === firstSuit);
-
-  if (!isHandFlush) return { points: 0 };
-
-  // If crib, all 5 cards must match
-  if (isCrib) {
-    if (cutCard && cutCard.suit === firstSuit) {
-      return { points: 5 };
-    }
-    return { points: 0 };
-  }
-
-  // If hand, check if cut matches
-  if (cutCard && cutCard.suit === firstSuit) {
-    return { points: 5 };
-  }
-
-  return { points: 4 };
-}
-
-// Score nobs: jack in hand matching cut suit = 1 point
-function scoreNobs(cards) {
-  if (cards.length < 5) return { points: 0 };
-
-  const handCards = cards.slice(0, 4);
-  const cutCard = cards[4];
-
-  if (!cutCard) return { points: 0 };
-
-  const jackInHand = handCards.find((card) => card.rank === "J");
-  if (jackInHand && jackInHand.suit === cutCard.suit) {
-    return { points: 1, card: formatCard(jackInHand) };
-  }
-
-  return { points: 0 };
-}
-
-// Main scoring function
-function scoreHand(cards, isCrib = false) {
-  if (!cards || cards.length !== 5 || cards.some((c) => !c)) {
-    return null;
-  }
-
-  const fifteens = scoreFifteens(cards);
-  const pairs = scorePairs(cards);
-  const runs = scoreRuns(cards);
-  const flush = scoreFlush(cards, isCrib);
-  const nobs = scoreNobs(cards);
-
-  const total =
-    fifteens.points + pairs.points + runs.points + flush.points + nobs.points;
-
-  return {
-    total,
-    fifteens,
-    pairs,
-    runs,
-    flush,
-    nobs,
-  };
-}
+// Card selection and score display (scoring lives in cribEngine.js)
 
 // UI Functions
 let selectedCards = [null, null, null, null, null]; // 4 hand + 1 cut
-let currentSlotIndex = 0; // Track which slot to fill next
+let currentSlotIndex = null; // Slot picked for the next card (null: first empty)
+let currentScore = null; // Latest scoreHand result shown by updateScore
 
 function initializeDeck() {
   const deckGrid = document.getElementById("deckGrid");
-  deckGrid.innerHTML = "";
-
-  // Organize cards by suit
-  const cardsBySuit = {
-    "♠": [],
-    "♥": [],
-    "♦": [],
-    "♣": [],
-  };
-
-  DECK.forEach((card) => {
-    cardsBySuit[card.suit].push(card);
+  buildDeckGrid(deckGrid, handleCardClick);
+  deckGrid.querySelectorAll(".deck-card").forEach((cardEl) => {
+    enableCardDrag(cardEl, () =>
+      cardEl.classList.contains("disabled")
+        ? null
+        : { card: cardEl.dataset.card },
+    );
   });
+  updateAvailableCards();
+}
 
-  // Create suit headers first (for mobile layout)
+// Build a full deck of clickable cards into a grid element
+// One row per rank and one column per suit; rows use display: contents so
+// the cards still lay out in the grid element itself
+function buildDeckGrid(deckGrid, onCardClick) {
+  deckGrid.innerHTML = "";
+  deckGrid.setAttribute("role", "grid");
+
+  // Suit headers first (for mobile layout)
+  const headerRow = document.createElement("div");
+  headerRow.className = "deck-row";
+  headerRow.setAttribute("role", "row");
   SUITS.forEach((suit) => {
     const suitHeader = document.createElement("div");
     suitHeader.className = "suit-header";
+    suitHeader.setAttribute("role", "columnheader");
+    suitHeader.dataset.suit = suit;
     suitHeader.textContent = suit;
     if (suit === "♥" || suit === "♦") {
       suitHeader.classList.add("red");
     } else {
       suitHeader.classList.add("black");
     }
-    deckGrid.appendChild(suitHeader);
+    headerRow.appendChild(suitHeader);
   });
+  deckGrid.appendChild(headerRow);
 
-  // Add cards row by row (one card from each suit per row)
   RANKS.forEach((rank) => {
-    SUITS.forEach((suit) => {
-      const card = cardsBySuit[suit].find((c) => c.rank === rank);
-      if (card) {
-        const cardEl = document.createElement("div");
-        cardEl.className = "deck-card";
-        cardEl.dataset.card = formatCard(card);
+    const row = document.createElement("div");
+    row.className = "deck-row";
+    row.setAttribute("role", "row");
 
-        // Add color class for red suits
-        if (card.suit === "♥" || card.suit === "♦") {
-          cardEl.classList.add("red");
-        } else {
-          cardEl.classList.add("black");
-        }
+    SUITS.forEach((suit) => {
+      const card = { rank, suit };
+      const cardEl = document.createElement("div");
+      cardEl.className = "deck-card";
+      cardEl.dataset.card = formatCard(card);
+      cardEl.setAttribute("role", "gridcell");
+      cardEl.tabIndex = -1;
+
+      // Add color class for red suits
+      if (card.suit === "♥" || card.suit === "♦") {
+        cardEl.classList.add("red");
+      } else {
+        cardEl.classList.add("black");
+      }
 
-        const rankEl = document.createElement("div");
-        rankEl.className = "card-rank";
-        rankEl.textContent = card.rank;
+      const rankEl = document.createElement("div");
+      rankEl.className = "card-rank";
 
-        const suitEl = document.createElement("div");
-        suitEl.className = "card-suit";
-        suitEl.textContent = card.suit;
+      const suitEl = document.createElement("div");
+      suitEl.className = "card-suit";
+      suitEl.textContent = card.suit;
 
-        cardEl.appendChild(rankEl);
-        cardEl.appendChild(suitEl);
+      cardEl.appendChild(rankEl);
+      cardEl.appendChild(suitEl);
 
-        cardEl.addEventListener("click", () => handleCardClick(card));
+      cardEl.addEventListener("click", () => onCardClick(card));
 
-        deckGrid.appendChild(cardEl);
-      }
+      row.appendChild(cardEl);
+    });
+    deckGrid.appendChild(row);
+  });
+  labelDeckGrid(deckGrid);
+
+  // Roving tabindex: the grid is one tab stop, arrow keys move within it
+  deckGrid.querySelector(".deck-card").tabIndex = 0;
+  deckGrid.addEventListener("focusin", (e) => {
+    if (!e.target.classList.contains("deck-card")) return;
+    deckGrid.querySelectorAll(".deck-card").forEach((cardEl) => {
+      cardEl.tabIndex = cardEl === e.target ? 0 : -1;
     });
   });
+  deckGrid.addEventListener("keydown", handleDeckGridKeydown);
+}
 
-  updateAvailableCards();
+// Rank letters and spoken names in the current language
+function labelDeckGrid(deckGrid) {
+  deckGrid.querySelectorAll(".suit-header").forEach((suitHeader) => {
+    suitHeader.setAttribute(
+      "aria-label",
+      t(`suitName.${SUIT_NAMES[suitHeader.dataset.suit]}`),
+    );
+  });
+  deckGrid.querySelectorAll(".deck-card").forEach((cardEl) => {
+    const card = parseCard(cardEl.dataset.card);
+    cardEl.querySelector(".card-rank").textContent = formatRankLabel(card.rank);
+    cardEl.setAttribute("aria-label", getCardName(card));
+  });
+}
+
+// Index steps for the arrow keys in a deck grid (rows are ranks)
+const DECK_GRID_STEPS = {
+  ArrowLeft: -1,
+  ArrowRight: 1,
+  ArrowUp: -SUITS.length,
+  ArrowDown: SUITS.length,
+};
+
+function handleDeckGridKeydown(e) {
+  const cards = [...e.currentTarget.querySelectorAll(".deck-card")];
+  const index = cards.indexOf(e.target);
+  if (index === -1) return;
+
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    e.target.click();
+    return;
+  }
+
+  const rowStart = index - (index % SUITS.length);
+  let next;
+  if (e.key in DECK_GRID_STEPS) {
+    next = index + DECK_GRID_STEPS[e.key];
+  } else if (e.key === "Home") {
+    next = e.ctrlKey ? 0 : rowStart;
+  } else if (e.key === "End") {
+    next = e.ctrlKey ? cards.length - 1 : rowStart + SUITS.length - 1;
+  } else {
+    return;
+  }
+
+  e.preventDefault();
+  if (next >= 0 && next < cards.length) {
+    cards[next].focus();
+  }
 }
 
 function updateAvailableCards() {
   const usedCards = new Set(selectedCards.filter((c) => c).map(formatCard));
-  const deckCards = document.querySelectorAll(".deck-card");
+  const deckGrid = document.getElementById("deckGrid");
+  markUsedCards(deckGrid, usedCards);
+  deckGrid.querySelectorAll(".deck-card").forEach((cardEl) => {
+    cardEl.draggable = !usedCards.has(cardEl.dataset.card);
+  });
+}
+
+// Disable the cards of a deck grid whose formatted value is in usedCards
+function markUsedCards(deckGrid, usedCards) {
+  const deckCards = deckGrid.querySelectorAll(".deck-card");
 
   deckCards.forEach((cardEl) => {
     const cardValue = cardEl.dataset.card;
@@ -371,41 +168,66 @@ function updateAvailableCards() {
     } else {
       cardEl.classList.remove("disabled");
     }
+    cardEl.setAttribute("aria-disabled", isUsed ? "true" : "false");
   });
 }
 
 function updateSlots() {
-  const slots = document.querySelectorAll(".card-slot");
+  const slots = document.querySelectorAll(
+    "#handSlots .card-slot, #cutSlots .card-slot",
+  );
+  const handSize = getActiveHandSize();
+  const target = getTargetSlot();
 
   slots.forEach((slot, index) => {
     const card = selectedCards[index];
+    const slotName =
+      index < 4 ? t("slot.card", { number: index + 1 }) : t("slot.cut");
     slot.classList.remove("selected");
+    slot.classList.toggle("slot-unused", index >= handSize && index < 4);
+    slot.classList.toggle("slot-target", index === target);
     slot.innerHTML = "";
+    slot.tabIndex = 0;
+    slot.draggable = Boolean(card);
+    slot.setAttribute("role", "group");
+    const label = card
+      ? t("slot.filled", { slot: slotName, card: getCardName(card) })
+      : t("slot.empty", { slot: slotName });
+    slot.setAttribute(
+      "aria-label",
+      index === target ? t("slot.target", { label }) : label,
+    );
 
     if (card) {
       slot.classList.add("selected");
+      slot.dataset.card = formatCard(card);
       const cardDisplay = document.createElement("div");
       cardDisplay.className = "card-display";
-      cardDisplay.textContent = formatCard(card);
+      cardDisplay.textContent = formatCardLabel(card);
+      cardDisplay.setAttribute("aria-hidden", "true");
 
-      const removeBtn = document.createElement("div");
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
       removeBtn.className = "remove-card";
       removeBtn.textContent = "×";
+      removeBtn.setAttribute(
+        "aria-label",
+        t("slot.remove", { card: getCardName(card) }),
+      );
       removeBtn.addEventListener("click", (e) => {
         e.stopPropagation();
         removeCardFromSlot(index);
+        slot.focus();
       });
 
       slot.appendChild(cardDisplay);
       slot.appendChild(removeBtn);
     } else {
+      delete slot.dataset.card;
       const placeholder = document.createElement("div");
       placeholder.className = "slot-placeholder";
-      if (index < 4) {
-        placeholder.textContent = `Card ${index + 1}`;
-      } else {
-        placeholder.textContent = "Cut Card";
-      }
+      placeholder.textContent = slotName;
+      placeholder.setAttribute("aria-hidden", "true");
       slot.appendChild(placeholder);
     }
   });
@@ -420,26 +242,225 @@ function handleCardClick(card) {
     return;
   }
 
-  // Find first empty slot
-  let slotIndex = -1;
-  for (let i = 0; i < selectedCards.length; i++) {
-    if (selectedCards[i] === null) {
-      slotIndex = i;
-      break;
-    }
+  placeCardInSlot(card, getTargetSlot());
+}
+
+function isSlotActive(index) {
+  return index === 4 || index < getActiveHandSize();
+}
+
+// Slot the next deck card goes into: the one picked by clicking a slot,
+// otherwise the first empty slot, otherwise the cut (which gets replaced)
+function getTargetSlot() {
+  if (currentSlotIndex !== null && isSlotActive(currentSlotIndex)) {
+    return currentSlotIndex;
   }
+  const empty = selectedCards.findIndex(
+    (card, index) => card === null && isSlotActive(index),
+  );
+  return empty === -1 ? selectedCards.length - 1 : empty;
+}
+
+// Clicking a slot makes it the target; clicking it again goes back to
+// filling the first empty slot
+function selectTargetSlot(index) {
+  currentSlotIndex = currentSlotIndex === index ? null : index;
+  updateSlots();
+}
 
-  // If all slots are full, replace the last one
-  if (slotIndex === -1) {
-    slotIndex = selectedCards.length - 1;
+// Put a card into a slot; a card already in another slot swaps places
+function placeCardInSlot(card, index) {
+  if (!isSlotActive(index)) return;
+  const cardValue = formatCard(card);
+  const from = selectedCards.findIndex((c) => c && formatCard(c) === cardValue);
+  if (from !== -1) {
+    swapSlots(from, index);
+    return;
   }
 
-  selectedCards[slotIndex] = card;
+  selectedCards[index] = card;
+  currentSlotIndex = null;
   updateSlots();
   updateAvailableCards();
   updateDisplay();
 }
 
+function swapSlots(from, to) {
+  if (from === to || !isSlotActive(from) || !isSlotActive(to)) return;
+  [selectedCards[from], selectedCards[to]] = [
+    selectedCards[to],
+    selectedCards[from],
+  ];
+  currentSlotIndex = null;
+  updateSlots();
+  updateAvailableCards();
+  updateDisplay();
+}
+
+// Drag and drop: deck cards drop into a slot, slot cards swap with another
+// slot. Mouse uses native drag events; touch lifts a card after a long press
+// so a quick swipe still scrolls the deck
+const TOUCH_DRAG_DELAY = 300; // ms a finger rests on a card before it lifts
+const TOUCH_DRAG_SLOP = 10; // px a finger may wander during the long press
+
+let dragSource = null; // { card } from the deck or { slot } being dragged
+let touchDragGhost = null; // card following the finger during a touch drag
+let touchDragOrigin = null; // element the touch drag started from
+
+function getSlotElements() {
+  return document.querySelectorAll(
+    "#handSlots .card-slot, #cutSlots .card-slot",
+  );
+}
+
+function dropOnSlot(source, index) {
+  if (!source) return;
+  if (source.slot !== undefined) {
+    swapSlots(source.slot, index);
+    return;
+  }
+  const card = DECK.find((c) => formatCard(c) === source.card);
+  if (card) {
+    placeCardInSlot(card, index);
+  }
+}
+
+function clearDragOver() {
+  getSlotElements().forEach((slot) => slot.classList.remove("drag-over"));
+}
+
+function getSlotAt(x, y) {
+  const el = document.elementFromPoint(x, y);
+  return el && el.closest("#handSlots .card-slot, #cutSlots .card-slot");
+}
+
+// Make an element a drag source; getSource returns what it carries, or
+// null when it can't be dragged right now
+function enableCardDrag(el, getSource) {
+  el.addEventListener("dragstart", (e) => {
+    dragSource = getSource();
+    if (!dragSource) {
+      e.preventDefault();
+      return;
+    }
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", el.dataset.card || "");
+  });
+  el.addEventListener("dragend", () => {
+    dragSource = null;
+    clearDragOver();
+  });
+
+  let pressTimer = null;
+  let pressStart = null;
+  const cancelPress = () => {
+    clearTimeout(pressTimer);
+    pressTimer = null;
+  };
+
+  el.addEventListener(
+    "touchstart",
+    (e) => {
+      const source = getSource();
+      if (!source || e.touches.length > 1) return;
+      const touch = e.touches[0];
+      pressStart = { x: touch.clientX, y: touch.clientY };
+      pressTimer = setTimeout(() => {
+        pressTimer = null;
+        startTouchDrag(el, source, pressStart);
+      }, TOUCH_DRAG_DELAY);
+    },
+    { passive: true },
+  );
+  el.addEventListener(
+    "touchmove",
+    (e) => {
+      const touch = e.touches[0];
+      if (touchDragGhost) {
+        e.preventDefault();
+        moveTouchDrag(touch.clientX, touch.clientY);
+      } else if (
+        pressTimer &&
+        Math.hypot(touch.clientX - pressStart.x, touch.clientY - pressStart.y) >
+          TOUCH_DRAG_SLOP
+      ) {
+        cancelPress();
+      }
+    },
+    { passive: false },
+  );
+  el.addEventListener("touchend", (e) => {
+    cancelPress();
+    if (!touchDragGhost) return;
+    // Stop the tap turning into a click once the card has been dragged
+    e.preventDefault();
+    const touch = e.changedTouches[0];
+    const slot = getSlotAt(touch.clientX, touch.clientY);
+    const source = dragSource;
+    endTouchDrag();
+    if (slot) {
+      dropOnSlot(source, parseInt(slot.dataset.slot));
+    }
+  });
+  el.addEventListener("touchcancel", () => {
+    cancelPress();
+    endTouchDrag();
+  });
+}
+
+function startTouchDrag(el, source, point) {
+  dragSource = source;
+  touchDragGhost = document.createElement("div");
+  touchDragGhost.className = "drag-ghost";
+  touchDragGhost.setAttribute("aria-hidden", "true");
+  touchDragGhost.textContent = source.card
+    ? localizeCardText(source.card)
+    : formatCardLabel(selectedCards[source.slot]);
+  document.body.appendChild(touchDragGhost);
+  touchDragOrigin = el;
+  touchDragOrigin.classList.add("dragging");
+  moveTouchDrag(point.x, point.y);
+}
+
+function moveTouchDrag(x, y) {
+  touchDragGhost.style.left = `${x}px`;
+  touchDragGhost.style.top = `${y}px`;
+  const over = getSlotAt(x, y);
+  getSlotElements().forEach((slot) => {
+    slot.classList.toggle("drag-over", slot === over);
+  });
+}
+
+function endTouchDrag() {
+  if (touchDragGhost) {
+    touchDragOrigin.classList.remove("dragging");
+    touchDragGhost.remove();
+    touchDragGhost = null;
+    touchDragOrigin = null;
+  }
+  dragSource = null;
+  clearDragOver();
+}
+
+function updateCardEntryErrors() {
+  const input = document.getElementById("cardEntry");
+  const errorsEl = document.getElementById("cardEntryErrors");
+  const { errors } = parseCardList(input.value, getActiveHandSize());
+  errorsEl.textContent = errors.join("; ");
+  input.setAttribute("aria-invalid", errors.length > 0 ? "true" : "false");
+  return errors;
+}
+
+function handleCardEntry() {
+  const input = document.getElementById("cardEntry");
+  if (updateCardEntryErrors().length > 0) {
+    return;
+  }
+
+  const { hand, cut } = parseCardList(input.value, getActiveHandSize());
+  setSelectedCards([hand[0], hand[1], hand[2], hand[3], cut]);
+}
+
 function removeCardFromSlot(index) {
   selectedCards[index] = null;
   updateSlots();
@@ -455,11 +476,12 @@ function updateDisplay() {
   cutDisplay.innerHTML = "";
 
   // Display hand cards
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < getActiveHandSize(); i++) {
     if (selectedCards[i]) {
       const cardEl = document.createElement("span");
       cardEl.className = "card-display";
-      cardEl.textContent = formatCard(selectedCards[i]);
+      cardEl.textContent = formatCardLabel(selectedCards[i]);
+      cardEl.setAttribute("aria-label", getCardName(selectedCards[i]));
       handDisplay.appendChild(cardEl);
     }
   }
@@ -468,7 +490,8 @@ function updateDisplay() {
   if (selectedCards[4]) {
     const cardEl = document.createElement("span");
     cardEl.className = "card-display";
-    cardEl.textContent = formatCard(selectedCards[4]);
+    cardEl.textContent = formatCardLabel(selectedCards[4]);
+    cardEl.setAttribute("aria-label", getCardName(selectedCards[4]));
     cutDisplay.appendChild(cardEl);
   }
 
@@ -479,21 +502,36 @@ function updateDisplay() {
 function updateScore() {
   const isCrib =
     document.querySelector('input[name="mode"]:checked').value === "crib";
-  const allSelected = selectedCards.every((c) => c !== null);
+  const rules = getRules();
+  const cards = getScoredCards();
+  const allSelected = cards.every((c) => c !== null);
   const container = document.querySelector(".container");
   const body = document.body;
 
+  currentScore = allSelected ? scoreHand(cards, isCrib, rules) : null;
+  // Let other panels react to the new score (null when incomplete)
+  document.dispatchEvent(
+    new CustomEvent("scoreupdated", {
+      detail: { score: currentScore, isCrib, rules },
+    }),
+  );
+
   if (!allSelected) {
     document.getElementById("totalScore").textContent = "0";
     document.getElementById("scoreBreakdown").innerHTML =
-      '<p style="color: #2d2d2d; font-weight: 700; text-align: center; text-shadow: 0 2px 6px rgba(255, 255, 255, 0.8), 0 0 15px rgba(255, 255, 255, 0.5), 0 1px 2px rgba(0, 0, 0, 0.2);">Select all 5 cards to see score</p>';
+      '<p style="color: #2d2d2d; font-weight: 700; text-align: center; text-shadow: 0 2px 6px rgba(255, 255, 255, 0.8), 0 0 15px rgba(255, 255, 255, 0.5), 0 1px 2px rgba(0, 0, 0, 0.2);"></p>';
+    document.querySelector("#scoreBreakdown p").textContent = t(
+      "score.selectAll",
+      { count: cards.length },
+    );
     // Remove no-blur class and mondor-state when cards aren't all selected
     container.classList.remove("no-blur");
     body.classList.remove("mondor-state");
+    restorePinnedClaim();
     return;
   }
 
-  const score = scoreHand(selectedCards, isCrib);
+  const score = currentScore;
   if (!score) {
     document.getElementById("totalScore").textContent = "0";
     // Remove no-blur class and mondor-state when score is invalid
@@ -504,8 +542,9 @@ function updateScore() {
 
   document.getElementById("totalScore").textContent = score.total;
 
-  // Toggle blur and background image based on score
-  if (score.total === 0) {
+  // Toggle blur and background image based on score (a zero wins at lowball)
+  const isMondor = score.total === 0 && !rules.lowball;
+  if (isMondor) {
     container.classList.add("no-blur");
     body.classList.add("mondor-state");
   } else {
@@ -516,70 +555,98 @@ function updateScore() {
   const breakdown = document.getElementById("scoreBreakdown");
   breakdown.innerHTML = "";
 
-  // Fifteens
-  if (score.fifteens.points > 0) {
-    const item = createBreakdownItem(
-      `Fifteens: ${score.fifteens.points} points`,
-      `${score.fifteens.combinations.length} combination(s)`,
-      score.fifteens.combinations,
-    );
-    breakdown.appendChild(item);
-  }
+  describeScore(score, isCrib).forEach(({ label, details, claims }) => {
+    breakdown.appendChild(createBreakdownItem(label, details, claims));
+  });
 
-  // Pairs
-  if (score.pairs.points > 0) {
-    const item = createBreakdownItem(
-      `Pairs: ${score.pairs.points} points`,
-      score.pairs.pairs.join(", "),
-    );
-    breakdown.appendChild(item);
+  if (isMondor) {
+    breakdown.innerHTML =
+      '<div class="mondor-message"><p><span class="mondor-word">MONDOR</span></p></div>';
+    const word = breakdown.querySelector(".mondor-word");
+    word.before(t("score.mondorBefore"));
+    word.after(t("score.mondorAfter"));
   }
+  // A tapped claim from the previous breakdown is gone
+  restorePinnedClaim();
 
-  // Runs
-  if (score.runs.points > 0) {
-    const runDescriptions = score.runs.runs.map((run) => {
-      if (run.multiplier > 1) {
-        return `Run of ${run.length} (${run.multiplier}x multiplier)`;
-      }
-      return `Run of ${run.length}`;
-    });
-    const item = createBreakdownItem(
-      `Runs: ${score.runs.points} points`,
-      runDescriptions.join(", "),
-      score.runs.runs.map((r) => r.cards),
-    );
-    breakdown.appendChild(item);
-  }
-
-  // Flush
-  if (score.flush.points > 0) {
-    const item = createBreakdownItem(
-      `Flush: ${score.flush.points} points`,
-      isCrib
-        ? "All 5 cards same suit"
-        : score.flush.points === 5
-          ? "Hand + cut same suit"
-          : "Hand flush",
-    );
-    breakdown.appendChild(item);
-  }
+  announceScore(score, isCrib);
+}
 
-  // Nobs
-  if (score.nobs.points > 0) {
-    const item = createBreakdownItem(
-      `Nobs: ${score.nobs.points} point`,
-      `Jack ${score.nobs.card} matches cut suit`,
-    );
-    breakdown.appendChild(item);
+// Read the total and breakdown to screen readers once a hand is complete
+function announceScore(score, isCrib) {
+  const announcer = document.getElementById("scoreAnnouncer");
+  if (document.body.classList.contains("muggins-concealed")) {
+    announcer.textContent = t("score.hidden");
+    return;
   }
 
-  if (score.total === 0) {
-    breakdown.innerHTML =
-      '<div class="mondor-message"><p>You Have Hit A <span class="mondor-word">MONDOR</span> - "19" Points - You Suck</p></div>';
-  }
+  const parts = describeScore(score, isCrib).map(({ label }) => label);
+  const total = t(isCrib ? "score.announceCrib" : "score.announceHand", {
+    total: score.total,
+  });
+  announcer.textContent =
+    parts.length > 0 ? `${total}: ${parts.join("; ")}` : total;
+}
+
+// Cards a breakdown claim lights up: the hand and cut slots by default
+const CLAIM_CARD_SELECTOR = ".card-slot[data-card]";
+let pinnedClaim = null; // claim button tapped to keep its cards lit
+
+function highlightClaimCards(claimButton) {
+  document.querySelectorAll(".claim-highlight").forEach((el) => {
+    el.classList.remove("claim-highlight");
+  });
+  if (!claimButton) return;
+  const cards = claimButton.dataset.cards.split(" ");
+  document.querySelectorAll(claimButton.dataset.cardSelector).forEach((el) => {
+    if (cards.includes(el.dataset.card)) {
+      el.classList.add("claim-highlight");
+    }
+  });
+}
+
+// Back to the tapped claim (if it is still on screen) once hovering stops
+function restorePinnedClaim() {
+  if (pinnedClaim && !pinnedClaim.isConnected) pinnedClaim = null;
+  highlightClaimCards(pinnedClaim);
+}
+
+function togglePinnedClaim(claimButton) {
+  if (pinnedClaim) pinnedClaim.setAttribute("aria-pressed", "false");
+  pinnedClaim = pinnedClaim === claimButton ? null : claimButton;
+  if (pinnedClaim) pinnedClaim.setAttribute("aria-pressed", "true");
+  highlightClaimCards(pinnedClaim);
+}
+
+// One button per fifteen, pair, run... that lights up its cards while
+// hovered or focused, and keeps them lit when tapped
+function createClaimButton(claim, cardSelector) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "breakdown-claim";
+  button.dataset.cards = claim.cards.join(" ");
+  button.dataset.cardSelector = cardSelector;
+  button.setAttribute("aria-pressed", "false");
+  button.title = t("breakdown.highlight");
+  button.textContent = t("breakdown.claim", {
+    cards: claim.cards.map(localizeCardText).join(" "),
+    points: claim.points,
+  });
+
+  button.addEventListener("mouseenter", () => highlightClaimCards(button));
+  button.addEventListener("focus", () => highlightClaimCards(button));
+  button.addEventListener("mouseleave", restorePinnedClaim);
+  button.addEventListener("blur", restorePinnedClaim);
+  button.addEventListener("click", () => togglePinnedClaim(button));
+  return button;
 }
 
-function createBreakdownItem(label, details, combinations = null) {
+function createBreakdownItem(
+  label,
+  details,
+  claims = null,
+  cardSelector = CLAIM_CARD_SELECTOR,
+) {
   const item = document.createElement("div");
   item.className = "breakdown-item";
 
@@ -593,19 +660,13 @@ function createBreakdownItem(label, details, combinations = null) {
   detailsEl.textContent = details;
   item.appendChild(detailsEl);
 
-  if (combinations && combinations.length > 0) {
-    const combosEl = document.createElement("div");
-    combosEl.className = "item-combos";
-    if (Array.isArray(combinations[0])) {
-      // Multiple sets of combinations (runs)
-      combinations.forEach((comboSet, idx) => {
-        combosEl.innerHTML += `<div>Run ${idx + 1}: ${comboSet.join(", ")}</div>`;
-      });
-    } else {
-      // Single set of combinations (fifteens)
-      combosEl.textContent = `Combinations: ${combinations.map((c) => `[${c.join(", ")}]`).join(", ")}`;
-    }
-    item.appendChild(combosEl);
+  if (claims && claims.length > 0) {
+    const claimsEl = document.createElement("div");
+    claimsEl.className = "item-claims";
+    claims.forEach((claim) => {
+      claimsEl.appendChild(createClaimButton(claim, cardSelector));
+    });
+    item.appendChild(claimsEl);
   }
 
   return item;
@@ -622,6 +683,7 @@ function showError(message) {
 
 function reset() {
   selectedCards = [null, null, null, null, null];
+  currentSlotIndex = null;
   const container = document.querySelector(".container");
   const body = document.body;
   container.classList.remove("no-blur");
@@ -631,63 +693,358 @@ function reset() {
   updateDisplay();
 }
 
-// Score reference: valid point values per category (cribbage hand scoring)
-const FIFTEENS_VALUES = [0, 2, 4, 6, 8];
-const PAIRS_VALUES = [0, 2, 6, 12];
-const RUNS_VALUES = [0, 3, 4, 5, 6, 8, 9, 10, 12, 15, 20];
-const FLUSH_VALUES = [0, 4, 5];
-const NOBS_VALUES = [0, 1];
-
-function labelFifteens(p) {
-  if (p === 0) return "";
-  const n = p / 2;
-  return n === 1 ? "One 15 (2)" : `${n} 15s (${p})`;
-}
-function labelPairs(p) {
-  if (p === 0) return "";
-  if (p === 2) return "Pair (2)";
-  if (p === 6) return "Three of a kind (6)";
-  return "Four of a kind (12)";
-}
-function labelRuns(p) {
-  if (p === 0) return "";
-  return `Runs (${p})`;
-}
-function labelFlush(p) {
-  if (p === 0) return "";
-  return p === 4 ? "Hand flush (4)" : "Hand + cut flush (5)";
-}
-function labelNobs(p) {
-  return p === 1 ? "Nobs (1)" : "";
-}
-
-function getWaysToScore(total) {
-  const ways = [];
-  const seen = new Set();
-  for (const f of FIFTEENS_VALUES) {
-    for (const p of PAIRS_VALUES) {
-      for (const r of RUNS_VALUES) {
-        for (const fl of FLUSH_VALUES) {
-          for (const n of NOBS_VALUES) {
-            if (f + p + r + fl + n !== total) continue;
-            const parts = [
-              labelFifteens(f),
-              labelPairs(p),
-              labelRuns(r),
-              labelFlush(fl),
-              labelNobs(n),
-            ].filter(Boolean);
-            if (parts.length === 0) continue;
-            const str = parts.join(" + ");
-            if (seen.has(str)) continue;
-            seen.add(str);
-            ways.push(str);
-          }
-        }
-      }
-    }
+// Replace the hand and cut with the given cards (missing entries stay empty,
+// and hand cards beyond the rules' hand size are dropped)
+function setSelectedCards(cards) {
+  const handSize = getActiveHandSize();
+  selectedCards = [0, 1, 2, 3, 4].map((i) =>
+    i < handSize || i === 4 ? cards[i] || null : null,
+  );
+  currentSlotIndex = null;
+  updateHandSizeText();
+  updateSlots();
+  updateAvailableCards();
+  updateDisplay();
+}
+
+function getMode() {
+  return document.querySelector('input[name="mode"]:checked').value;
+}
+
+function setMode(mode) {
+  const radio = document.querySelector(`input[name="mode"][value="${mode}"]`);
+  if (radio) {
+    radio.checked = true;
   }
-  return ways.sort();
+}
+
+// Rules
+
+function initializeRulesetPicker() {
+  const select = document.getElementById("rulesetSelect");
+  Object.values(RULESETS).forEach((ruleset) => {
+    const option = document.createElement("option");
+    option.value = ruleset.id;
+    select.appendChild(option);
+  });
+  labelRulesetPicker();
+}
+
+function labelRulesetPicker() {
+  document.querySelectorAll("#rulesetSelect option").forEach((option) => {
+    option.textContent = t(`ruleset.${option.value}`);
+  });
+}
+
+// The picked ruleset with the house-rule checkboxes applied
+function getRules() {
+  const id = document.getElementById("rulesetSelect").value;
+  const preset = getRuleset(id) || RULESETS.standard;
+  return {
+    ...preset,
+    cribFourFlush:
+      preset.cribFourFlush ||
+      document.getElementById("ruleCribFourFlush").checked,
+    hisHeels:
+      preset.hisHeels || document.getElementById("ruleHisHeels").checked,
+  };
+}
+
+function setRules({ id, cribFourFlush = false, hisHeels = false }) {
+  document.getElementById("rulesetSelect").value = getRuleset(id)
+    ? id
+    : "standard";
+  document.getElementById("ruleCribFourFlush").checked = cribFourFlush;
+  document.getElementById("ruleHisHeels").checked = hisHeels;
+}
+
+// Panels that load four-card hands switch short-hand rules back to standard
+function ensureFourCardHands() {
+  if (getRules().handSize < 4) {
+    document.getElementById("rulesetSelect").value = "standard";
+  }
+}
+
+function getActiveHandSize() {
+  return getHandSize(getMode() === "crib", getRules());
+}
+
+// The hand cards the rules use, followed by the cut
+function getScoredCards() {
+  return [...selectedCards.slice(0, getActiveHandSize()), selectedCards[4]];
+}
+
+function updateHandSizeText() {
+  const handSize = getActiveHandSize();
+  document.getElementById("handHeading").textContent = t("hand.heading", {
+    count: handSize,
+  });
+  document.getElementById("selectionInstruction").textContent = t(
+    "select.instruction",
+    { total: handSize + 1, count: handSize },
+  );
+}
+
+// Drop hand cards beyond the hand size after a mode or rules change
+function applyHandSize() {
+  for (let i = getActiveHandSize(); i < 4; i++) {
+    selectedCards[i] = null;
+  }
+  updateHandSizeText();
+  updateSlots();
+  updateAvailableCards();
+  updateDisplay();
+}
+
+// Permalinks: ?hand=5s,5h,5d,jc&cut=5c&mode=crib&rules=fiveCard&flush4=1&heels=1
+
+function serializeHandState(cards, mode, rules = RULESETS.standard) {
+  const params = [];
+  const hand = cards.slice(0, 4).map((c) => (c ? toCardCode(c) : ""));
+  while (hand.length > 0 && !hand[hand.length - 1]) {
+    hand.pop();
+  }
+  if (hand.length > 0) {
+    params.push(`hand=${hand.join(",")}`);
+  }
+  if (cards[4]) {
+    params.push(`cut=${toCardCode(cards[4])}`);
+  }
+  if (mode !== "hand") {
+    params.push(`mode=${mode}`);
+  }
+  if (rules.id !== "standard") {
+    params.push(`rules=${rules.id}`);
+  }
+  if (rules.cribFourFlush) {
+    params.push("flush4=1");
+  }
+  if (rules.hisHeels) {
+    params.push("heels=1");
+  }
+  return params.join("&");
+}
+
+// Read a hand back from a query string; null if the link is malformed
+function parseHandState(search) {
+  const params = new URLSearchParams(search);
+  const mode = params.get("mode") || "hand";
+  if (mode !== "hand" && mode !== "crib") return null;
+  const rules = {
+    id: params.get("rules") || "standard",
+    cribFourFlush: params.get("flush4") === "1",
+    hisHeels: params.get("heels") === "1",
+  };
+  const preset = getRuleset(rules.id);
+  if (!preset) return null;
+
+  const handCodes = params.has("hand") ? params.get("hand").split(",") : [];
+  const cutCode = params.get("cut") || "";
+  if (handCodes.length > getHandSize(mode === "crib", preset)) {
+    return null;
+  }
+
+  const codes = [0, 1, 2, 3].map((i) => handCodes[i] || "");
+  codes.push(cutCode);
+
+  const cards = codes.map((code) => (code ? parseCard(code) : null));
+  if (cards.some((card, i) => codes[i] && !card)) return null;
+
+  const keys = cards.filter(Boolean).map(formatCard);
+  if (new Set(keys).size !== keys.length) return null;
+
+  return { cards, mode, rules };
+}
+
+function restoreFromUrl() {
+  const state = parseHandState(window.location.search);
+  if (!state) {
+    selectedCards = [null, null, null, null, null];
+    setMode("hand");
+    setRules({ id: "standard" });
+    history.replaceState(null, "", window.location.pathname);
+    showError(t("error.badLink"));
+    return;
+  }
+  selectedCards = state.cards;
+  setMode(state.mode);
+  setRules(state.rules);
+}
+
+// Push a history entry whenever the hand or mode changes
+function syncUrl() {
+  const query = serializeHandState(selectedCards, getMode(), getRules());
+  if (query === window.location.search.replace(/^\?/, "")) return;
+  const url = query
+    ? `${window.location.pathname}?${query}`
+    : window.location.pathname;
+  history.pushState(null, "", url);
+}
+
+// Undo/redo: snapshots of the cards, mode and rules. A snapshot is taken
+// whenever the score is recomputed and something has changed, so every way
+// of changing the hand is covered
+
+const UNDO_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+let lastUndoState = null;
+
+function captureUndoState() {
+  const { id, cribFourFlush, hisHeels } = getRules();
+  return {
+    cards: [...selectedCards],
+    mode: getMode(),
+    rules: { id, cribFourFlush, hisHeels },
+  };
+}
+
+function getUndoStateKey(state) {
+  return serializeHandState(state.cards, state.mode, state.rules);
+}
+
+function trackUndoState() {
+  const state = captureUndoState();
+  if (
+    lastUndoState &&
+    getUndoStateKey(state) !== getUndoStateKey(lastUndoState)
+  ) {
+    undoStack.push(lastUndoState);
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+  }
+  lastUndoState = state;
+  updateUndoButtons();
+}
+
+// Re-render everything from a snapshot without recording it as a new change
+function applyUndoState(state) {
+  lastUndoState = state;
+  setRules(state.rules);
+  setMode(state.mode);
+  selectedCards = [...state.cards];
+  currentSlotIndex = null;
+  updateHandSizeText();
+  updateSlots();
+  updateAvailableCards();
+  updateDisplay();
+}
+
+function undo() {
+  if (undoStack.length === 0) return;
+  redoStack.push(captureUndoState());
+  applyUndoState(undoStack.pop());
+}
+
+function redo() {
+  if (redoStack.length === 0) return;
+  undoStack.push(captureUndoState());
+  applyUndoState(redoStack.pop());
+}
+
+function updateUndoButtons() {
+  document.getElementById("undoBtn").disabled = undoStack.length === 0;
+  document.getElementById("redoBtn").disabled = redoStack.length === 0;
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), leaving text fields their own undo
+function handleUndoShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const target = e.target;
+  if (
+    target.tagName === "TEXTAREA" ||
+    (target.tagName === "INPUT" && !["radio", "checkbox"].includes(target.type))
+  ) {
+    return;
+  }
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
+}
+
+// Expand/collapse a panel section from its toggle button
+function setupCollapsible(
+  toggle,
+  content,
+  section,
+  hiddenClass = "panel-hidden",
+) {
+  toggle.addEventListener("click", () => {
+    const isHidden = content.classList.contains(hiddenClass);
+    content.classList.toggle(hiddenClass, !isHidden);
+    section.classList.toggle("expanded", isHidden);
+    toggle.setAttribute("aria-expanded", isHidden ? "true" : "false");
+    content.setAttribute("aria-hidden", isHidden ? "false" : "true");
+  });
+}
+
+// One option per total from 1 up, marking the ones no hand can make
+function renderScoreOptions() {
+  const select = document.getElementById("scoreSelect");
+  if (!select) return;
+  const selected = select.value || "1";
+  select.innerHTML = "";
+  for (let score = 1; score <= MAX_HAND_SCORE; score++) {
+    const option = document.createElement("option");
+    option.value = String(score);
+    option.textContent = IMPOSSIBLE_SCORES.includes(score)
+      ? t("reference.impossibleOption", { score })
+      : formatNumber(score);
+    select.appendChild(option);
+  }
+  select.value = selected;
+}
+
+function getScoreBreakdowns(onProgress) {
+  return getWorkerResult(
+    "breakdowns:hand",
+    "breakdowns",
+    { isCrib: false },
+    onProgress,
+  );
+}
+
+function createScoreWayItem(breakdown) {
+  const li = document.createElement("li");
+
+  const label = document.createElement("span");
+  label.className = "score-way-label";
+  label.textContent = labelBreakdown(breakdown.parts);
+
+  const count = document.createElement("span");
+  count.className = "score-way-count";
+  count.textContent = t("reference.hands", { count: breakdown.count });
+
+  const example = document.createElement("button");
+  example.type = "button";
+  example.className = "score-way-example";
+  example.title = t("reference.loadExample");
+  const hand = breakdown.example.slice(0, 4).map(localizeCardText).join(" ");
+  example.textContent = `${hand} | ${localizeCardText(breakdown.example[4])}`;
+  example.addEventListener("click", () => {
+    setMode("hand");
+    ensureFourCardHands();
+    setSelectedCards(breakdown.example.map(parseCard));
+  });
+
+  li.appendChild(label);
+  li.appendChild(count);
+  li.appendChild(example);
+  return li;
+}
+
+function showScoreReferenceMessage(text) {
+  const listEl = document.getElementById("scoreWaysList");
+  listEl.innerHTML = "";
+  const li = document.createElement("li");
+  li.textContent = text;
+  listEl.appendChild(li);
 }
 
 function updateScoreReference() {
@@ -696,34 +1053,81 @@ function updateScoreReference() {
   const listEl = document.getElementById("scoreWaysList");
   if (!select || !listEl) return;
   const score = parseInt(select.value, 10);
-  const ways = getWaysToScore(score);
-  listEl.innerHTML = "";
-  if (ways.length === 0) {
-    const li = document.createElement("li");
-    li.textContent =
-      score === 29
-        ? "No hand can score 29."
-        : "No combinations for this score.";
-    listEl.appendChild(li);
-  } else {
-    ways.forEach((text) => {
-      const li = document.createElement("li");
-      li.textContent = text;
-      listEl.appendChild(li);
-    });
-  }
   if (img) {
     img.src = "images/bee.jpg";
-    img.alt = `Score ${score} illustration`;
+    img.alt = t("reference.imageAlt", { score });
+  }
+
+  if (IMPOSSIBLE_SCORES.includes(score)) {
+    showScoreReferenceMessage(t("reference.impossible", { score }));
+    return;
+  }
+
+  const breakdowns = getCachedWorkerResult("breakdowns:hand");
+  if (!breakdowns) {
+    // Only enumerate every hand once someone opens the reference
+    const section = document.querySelector(".score-reference");
+    if (!section || !section.classList.contains("expanded")) return;
+
+    showScoreReferenceMessage(t("worker.scoring"));
+    getScoreBreakdowns((done, total) => {
+      showScoreReferenceMessage(
+        t("worker.progress", { percent: Math.round((done / total) * 100) }),
+      );
+    })
+      .then(updateScoreReference)
+      .catch(() => {
+        showScoreReferenceMessage(t("reference.workersUnavailable"));
+      });
+    return;
   }
+
+  listEl.innerHTML = "";
+  breakdowns
+    .filter((breakdown) => breakdown.total === score)
+    .sort((a, b) => b.count - a.count)
+    .forEach((breakdown) => {
+      listEl.appendChild(createScoreWayItem(breakdown));
+    });
 }
 
 // Event Listeners
 document.addEventListener("DOMContentLoaded", () => {
+  initializeRulesetPicker();
+  restoreFromUrl();
   initializeDeck();
+  updateHandSizeText();
   updateSlots();
+  updateDisplay();
+  renderScoreOptions();
   updateScoreReference();
 
+  // Re-render everything built from strings in the new language
+  document.addEventListener("languagechanged", () => {
+    document.querySelectorAll(".deck-grid").forEach(labelDeckGrid);
+    labelRulesetPicker();
+    renderScoreOptions();
+    updateHandSizeText();
+    updateSlots();
+    updateDisplay();
+    updateCardEntryErrors();
+    updateScoreReference();
+  });
+
+  document.addEventListener("scoreupdated", syncUrl);
+  document.addEventListener("scoreupdated", trackUndoState);
+  trackUndoState();
+  document.getElementById("undoBtn").addEventListener("click", undo);
+  document.getElementById("redoBtn").addEventListener("click", redo);
+  document.addEventListener("keydown", handleUndoShortcut);
+  window.addEventListener("popstate", () => {
+    restoreFromUrl();
+    updateHandSizeText();
+    updateSlots();
+    updateAvailableCards();
+    updateDisplay();
+  });
+
   const scoreSelect = document.getElementById("scoreSelect");
   if (scoreSelect) {
     scoreSelect.addEventListener("change", updateScoreReference);
@@ -733,153 +1137,75 @@ document.addEventListener("DOMContentLoaded", () => {
   const scoreRefContent = document.getElementById("scoreReferenceContent");
   const scoreRefSection = document.querySelector(".score-reference");
   if (scoreRefToggle && scoreRefContent && scoreRefSection) {
-    scoreRefToggle.addEventListener("click", () => {
-      const isHidden = scoreRefContent.classList.contains("score-reference-hidden");
-      scoreRefContent.classList.toggle("score-reference-hidden", !isHidden);
-      scoreRefSection.classList.toggle("expanded", isHidden);
-      scoreRefToggle.setAttribute("aria-expanded", isHidden ? "true" : "false");
-      scoreRefContent.setAttribute("aria-hidden", isHidden ? "false" : "true");
-    });
+    setupCollapsible(
+      scoreRefToggle,
+      scoreRefContent,
+      scoreRefSection,
+      "score-reference-hidden",
+    );
+    scoreRefToggle.addEventListener("click", updateScoreReference);
   }
 
-  // Slot click to remove card
-  document.querySelectorAll(".card-slot").forEach((slot) => {
-    slot.addEventListener("click", (e) => {
-      // Only handle if clicking the slot itself, not child elements
-      if (
-        e.target === slot ||
-        e.target.classList.contains("slot-placeholder")
+  // Slots: click to target, drop cards in, drag between slots to swap
+  getSlotElements().forEach((slot) => {
+    const index = parseInt(slot.dataset.slot);
+    slot.addEventListener("click", () => selectTargetSlot(index));
+    slot.addEventListener("keydown", (e) => {
+      if (e.target !== slot) return;
+      // Enter or Space targets the slot, Delete or Backspace clears it
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        selectTargetSlot(index);
+      } else if (
+        (e.key === "Delete" || e.key === "Backspace") &&
+        selectedCards[index]
       ) {
-        const index = parseInt(slot.dataset.slot);
-        if (selectedCards[index]) {
-          removeCardFromSlot(index);
-        }
+        e.preventDefault();
+        removeCardFromSlot(index);
+        slot.focus();
       }
     });
+
+    enableCardDrag(slot, () => (selectedCards[index] ? { slot: index } : null));
+    slot.addEventListener("dragover", (e) => {
+      if (!dragSource) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      slot.classList.add("drag-over");
+    });
+    slot.addEventListener("dragleave", () => {
+      slot.classList.remove("drag-over");
+    });
+    slot.addEventListener("drop", (e) => {
+      e.preventDefault();
+      const source = dragSource;
+      dragSource = null;
+      clearDragOver();
+      dropOnSlot(source, index);
+    });
+  });
+
+  // Typed card entry
+  const cardEntry = document.getElementById("cardEntry");
+  cardEntry.addEventListener("input", updateCardEntryErrors);
+  cardEntry.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleCardEntry();
+    }
   });
+  document
+    .getElementById("cardEntryBtn")
+    .addEventListener("click", handleCardEntry);
 
-  // Mode toggle
+  // Mode toggle and rules
   document.querySelectorAll('input[name="mode"]').forEach((radio) => {
-    radio.addEventListener("change", () => {
-      updateScore();
-    });
+    radio.addEventListener("change", applyHandSize);
+  });
+  ["rulesetSelect", "ruleCribFourFlush", "ruleHisHeels"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", applyHandSize);
   });
 
   // Reset button
   document.getElementById("resetBtn").addEventListener("click", reset);
 });
-
-// Test Cases and Self-Test Function
-/*
-Test Cases:
-1. Perfect 29 hand: 5♠ 5♥ 5♦ J♣ (cut: 5♣)
-   - Fifteens: 8 (4 combos of 5+5+5)
-   - Pairs: 12 (four 5s)
-   - Runs: 0
-   - Flush: 0
-   - Nobs: 1 (J♣ matches cut 5♣)
-   - Total: 29
-
-2. Double run: 3♠ 3♥ 4♠ 5♠ (cut: 6♠)
-   - Fifteens: 0
-   - Pairs: 2 (pair of 3s)
-   - Runs: 8 (double run of 4: 3-4-5-6 with two 3s)
-   - Flush: 5 (all spades)
-   - Nobs: 0
-   - Total: 15
-
-3. Triple run: 3♠ 3♥ 3♦ 4♠ 5♠
-   - Fifteens: 0
-   - Pairs: 6 (three 3s)
-   - Runs: 9 (triple run of 3: 3-4-5 with three 3s)
-   - Flush: 0
-   - Nobs: 0
-   - Total: 15
-*/
-
-function runTests() {
-  console.log("Running Cribbage Scoring Tests...\n");
-
-  // Test 1: Perfect 29 hand
-  const test1 = [
-    { rank: "5", suit: "♠" },
-    { rank: "5", suit: "♥" },
-    { rank: "5", suit: "♦" },
-    { rank: "J", suit: "♣" },
-    { rank: "5", suit: "♣" },
-  ];
-  const score1 = scoreHand(test1, false);
-  console.log("Test 1 (Perfect 29):", score1);
-  console.log(
-    "Expected: 29, Got:",
-    score1.total,
-    score1.total === 29 ? "✓" : "✗",
-  );
-
-  // Test 2: Double run
-  const test2 = [
-    { rank: "3", suit: "♠" },
-    { rank: "3", suit: "♥" },
-    { rank: "4", suit: "♠" },
-    { rank: "5", suit: "♠" },
-    { rank: "6", suit: "♠" },
-  ];
-  const score2 = scoreHand(test2, false);
-  console.log("\nTest 2 (Double Run):", score2);
-  console.log(
-    "Expected: 15, Got:",
-    score2.total,
-    score2.total === 15 ? "✓" : "✗",
-  );
-
-  // Test 3: Triple run
-  const test3 = [
-    { rank: "3", suit: "♠" },
-    { rank: "3", suit: "♥" },
-    { rank: "3", suit: "♦" },
-    { rank: "4", suit: "♠" },
-    { rank: "5", suit: "♠" },
-  ];
-  const score3 = scoreHand(test3, false);
-  console.log("\nTest 3 (Triple Run):", score3);
-  console.log(
-    "Expected: 15, Got:",
-    score3.total,
-    score3.total === 15 ? "✓" : "✗",
-  );
-
-  // Test 4: Simple fifteens
-  const test4 = [
-    { rank: "5", suit: "♠" },
-    { rank: "5", suit: "♥" },
-    { rank: "5", suit: "♦" },
-    { rank: "K", suit: "♠" },
-    { rank: "K", suit: "♥" },
-  ];
-  const score4 = scoreHand(test4, false);
-  console.log("\nTest 4 (Fifteens):", score4);
-  console.log("Fifteens points:", score4.fifteens.points);
-
-  // Test 5: Crib flush (should require all 5)
-  const test5 = [
-    { rank: "A", suit: "♠" },
-    { rank: "2", suit: "♠" },
-    { rank: "3", suit: "♠" },
-    { rank: "4", suit: "♠" },
-    { rank: "5", suit: "♥" },
-  ];
-  const score5Hand = scoreHand(test5, false);
-  const score5Crib = scoreHand(test5, true);
-  console.log("\nTest 5 (Flush):");
-  console.log("Hand flush:", score5Hand.flush.points, "Expected: 4");
-  console.log(
-    "Crib flush:",
-    score5Crib.flush.points,
-    "Expected: 0 (cut different suit)",
-  );
-
-  console.log("\nTests complete!");
-}
-
-// Make test function available globally
-window.runTests = runTests;
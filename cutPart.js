@@ -0,0 +1,196 @@
+// What-If Cut Analysis
+// Score the hand against every cut left in the deck before the cut is known
+
+let cutSeenCards = new Set(); // formatted cards marked as seen
+
+// The filled hand cards while the cut is still empty, otherwise null
+function getCutAnalysisHand() {
+  if (selectedCards[4]) return null;
+  const hand = selectedCards.slice(0, getActiveHandSize());
+  return hand.every((c) => c) ? hand : null;
+}
+
+function toggleSeenCard(cardValue) {
+  if (cutSeenCards.has(cardValue)) {
+    cutSeenCards.delete(cardValue);
+  } else {
+    cutSeenCards.add(cardValue);
+  }
+  updateCutAnalysis();
+}
+
+function clearSeenCards() {
+  cutSeenCards = new Set();
+  updateCutAnalysis();
+}
+
+function formatChance(chance) {
+  return `${formatNumber(Math.round(chance * 100))}%`;
+}
+
+function updateCutAnalysis() {
+  const summary = document.getElementById("cutAnalysisSummary");
+  const results = document.getElementById("cutAnalysisResults");
+  const odds = document.getElementById("cutAnalysisOdds");
+  results.innerHTML = "";
+  odds.innerHTML = "";
+  document.getElementById("cutSeenClearBtn").disabled = cutSeenCards.size === 0;
+
+  const hand = getCutAnalysisHand();
+  if (!hand) {
+    summary.textContent = selectedCards[4]
+      ? t("cut.clearCut")
+      : t("cut.fillHand", { count: getActiveHandSize() });
+    return;
+  }
+
+  // A card marked seen and then put in the hand only counts as in the hand
+  const inHand = new Set(hand.map(formatCard));
+  const seen = DECK.filter((card) => {
+    const cardValue = formatCard(card);
+    return cutSeenCards.has(cardValue) && !inHand.has(cardValue);
+  });
+  const analysis = analyzeCuts(hand, seen, getMode() === "crib", getRules());
+  if (!analysis) {
+    summary.textContent = t("cut.allSeen");
+    return;
+  }
+
+  const { cuts, min, max, avg, atLeast } = analysis;
+  summary.textContent =
+    t("cut.summary", {
+      count: cuts.length,
+      min,
+      avg: formatNumber(avg, 2),
+      max,
+    }) + (seen.length > 0 ? t("cut.seenCount", { count: seen.length }) : "");
+
+  renderCutHeatmap(results, hand, cuts, max);
+
+  for (let n = 1; n < atLeast.length; n++) {
+    const item = document.createElement("span");
+    item.className = "cut-odds-item";
+    item.textContent = `${n}+ `;
+    const chance = document.createElement("strong");
+    chance.textContent = formatChance(atLeast[n]);
+    item.appendChild(chance);
+    item.title = t("cut.oddsTitle", {
+      chance: formatChance(atLeast[n]),
+      points: n,
+    });
+    odds.appendChild(item);
+  }
+}
+
+// One row per rank, one column per suit, shaded by score. Clicking a cut
+// marks it as seen (or not) so it leaves (or rejoins) the odds
+function renderCutHeatmap(container, hand, cuts, max) {
+  const totals = new Map(
+    cuts.map(({ cut, total }) => [formatCard(cut), total]),
+  );
+  const inHand = new Set(hand.map(formatCard));
+
+  const table = document.createElement("table");
+  table.className = "results-table cut-heatmap";
+
+  const headRow = document.createElement("tr");
+  [t("cut.rank"), ...SUITS, t("cut.avg")].forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    if (SUITS.includes(label)) {
+      th.setAttribute("aria-label", t(`suitName.${SUIT_NAMES[label]}`));
+      th.classList.add(label === "♥" || label === "♦" ? "red" : "black");
+    }
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement("thead");
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  RANKS.forEach((rank) => {
+    const row = document.createElement("tr");
+    const rankCell = document.createElement("th");
+    rankCell.scope = "row";
+    rankCell.textContent = formatRankLabel(rank);
+    row.appendChild(rankCell);
+
+    const rankTotals = [];
+    SUITS.forEach((suit) => {
+      const card = { rank, suit };
+      const cardValue = formatCard(card);
+      const td = document.createElement("td");
+
+      if (inHand.has(cardValue)) {
+        td.className = "cut-in-hand";
+        td.textContent = "·";
+        td.setAttribute(
+          "aria-label",
+          t("cut.inHand", { card: getCardName(card) }),
+        );
+        row.appendChild(td);
+        return;
+      }
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "cut-cell";
+      const seen = cutSeenCards.has(cardValue);
+      button.setAttribute("aria-pressed", seen ? "true" : "false");
+      if (seen) {
+        button.textContent = "–";
+        button.setAttribute(
+          "aria-label",
+          t("cut.seen", { card: getCardName(card) }),
+        );
+      } else {
+        const total = totals.get(cardValue);
+        rankTotals.push(total);
+        button.textContent = total;
+        button.style.setProperty("--heat", max > 0 ? total / max : 0);
+        button.setAttribute(
+          "aria-label",
+          t("cut.points", { card: getCardName(card), count: total }),
+        );
+      }
+      button.title = t(seen ? "cut.unsee" : "cut.markSeen");
+      button.addEventListener("click", () => toggleSeenCard(cardValue));
+      td.appendChild(button);
+      row.appendChild(td);
+    });
+
+    const avgCell = document.createElement("td");
+    avgCell.textContent =
+      rankTotals.length > 0
+        ? formatNumber(
+            rankTotals.reduce((sum, total) => sum + total, 0) /
+              rankTotals.length,
+            1,
+          )
+        : "–";
+    row.appendChild(avgCell);
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+
+  container.appendChild(table);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".cut-analysis");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("cutAnalysisToggle"),
+    document.getElementById("cutAnalysisContent"),
+    section,
+  );
+
+  document
+    .getElementById("cutSeenClearBtn")
+    .addEventListener("click", clearSeenCards);
+
+  document.addEventListener("scoreupdated", updateCutAnalysis);
+  document.addEventListener("languagechanged", updateCutAnalysis);
+  updateCutAnalysis();
+});
@@ -0,0 +1,242 @@
+// Discard Advisor
+// Rank the 15 ways to keep four of six dealt cards
+
+let discardCards = [null, null, null, null, null, null];
+let discardResults = []; // null when the rules don't deal six cards
+let discardSort = null; // { key, descending }, null for best net first
+
+function isDiscardDealer() {
+  const checked = document.querySelector('input[name="discardRole"]:checked');
+  return checked ? checked.value === "dealer" : true;
+}
+
+function handleDiscardCardClick(card) {
+  const used = new Set(discardCards.filter((c) => c).map(formatCard));
+  if (used.has(formatCard(card))) {
+    return;
+  }
+
+  const slotIndex = discardCards.indexOf(null);
+  if (slotIndex === -1) {
+    showError(t("discard.full"));
+    return;
+  }
+
+  discardCards[slotIndex] = card;
+  updateDiscardAdvisor();
+}
+
+function removeDiscardCard(index) {
+  discardCards[index] = null;
+  updateDiscardAdvisor();
+}
+
+function clearDiscardCards() {
+  discardCards = [null, null, null, null, null, null];
+  updateDiscardAdvisor();
+}
+
+function updateDiscardSlots() {
+  const slots = document.querySelectorAll("#discardSlots .card-slot");
+
+  slots.forEach((slot, index) => {
+    const card = discardCards[index];
+    slot.classList.remove("selected");
+    slot.innerHTML = "";
+
+    if (card) {
+      slot.classList.add("selected");
+      const cardDisplay = document.createElement("div");
+      cardDisplay.className = "card-display";
+      cardDisplay.textContent = formatCardLabel(card);
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-card";
+      removeBtn.textContent = "×";
+      removeBtn.setAttribute(
+        "aria-label",
+        t("slot.remove", { card: getCardName(card) }),
+      );
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeDiscardCard(index);
+      });
+
+      slot.appendChild(cardDisplay);
+      slot.appendChild(removeBtn);
+    } else {
+      const placeholder = document.createElement("div");
+      placeholder.className = "slot-placeholder";
+      placeholder.textContent = t("slot.card", { number: index + 1 });
+      slot.appendChild(placeholder);
+    }
+  });
+}
+
+function updateDiscardAdvisor() {
+  updateDiscardSlots();
+  markUsedCards(
+    document.getElementById("discardDeckGrid"),
+    new Set(discardCards.filter((c) => c).map(formatCard)),
+  );
+
+  const allDealt = discardCards.every((c) => c !== null);
+  discardResults = allDealt
+    ? analyzeDiscards(discardCards, isDiscardDealer(), getRules())
+    : [];
+  renderDiscardResults();
+}
+
+// Columns sort best first to begin with: highest, or lowest at lowball
+function getDiscardSort() {
+  return discardSort || { key: "net", descending: !getRules().lowball };
+}
+
+function sortDiscardResults() {
+  const { key, descending } = getDiscardSort();
+  const value = (result) =>
+    key === "keep" || key === "thrown"
+      ? result[key].map(formatCard).join(" ")
+      : result[key];
+
+  return [...discardResults].sort((a, b) => {
+    const av = value(a);
+    const bv = value(b);
+    if (av === bv) return 0;
+    const order = av < bv ? -1 : 1;
+    return descending ? -order : order;
+  });
+}
+
+function renderDiscardResults() {
+  const container = document.getElementById("discardResults");
+  container.innerHTML = "";
+
+  if (!discardResults || discardResults.length === 0) {
+    const message = document.createElement("p");
+    message.className = "panel-note";
+    message.textContent = t(
+      discardResults ? "discard.selectAll" : "discard.fourCardHands",
+    );
+    container.appendChild(message);
+    return;
+  }
+
+  const columns = [
+    { key: "keep", label: t("discard.keep") },
+    { key: "thrown", label: t("discard.throw") },
+    { key: "min", label: t("discard.min") },
+    { key: "avg", label: t("discard.avg") },
+    { key: "max", label: t("discard.max") },
+    {
+      key: "crib",
+      label: t(isDiscardDealer() ? "discard.cribPlus" : "discard.cribMinus"),
+    },
+    { key: "net", label: t("discard.net") },
+  ];
+
+  const table = document.createElement("table");
+  table.className = "results-table";
+
+  const sort = getDiscardSort();
+  const headRow = document.createElement("tr");
+  columns.forEach((column) => {
+    const th = document.createElement("th");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = column.label;
+    button.addEventListener("click", () => {
+      discardSort =
+        sort.key === column.key
+          ? { key: column.key, descending: !sort.descending }
+          : { key: column.key, descending: !getRules().lowball };
+      renderDiscardResults();
+    });
+    th.appendChild(button);
+    if (sort.key === column.key) {
+      th.setAttribute(
+        "aria-sort",
+        sort.descending ? "descending" : "ascending",
+      );
+    }
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement("thead");
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  sortDiscardResults().forEach((result) => {
+    const row = document.createElement("tr");
+    row.title = t("discard.loadKeep");
+
+    // The keep is a button so the row can be loaded from the keyboard; a
+    // click anywhere else on the row does the same
+    const keepCell = document.createElement("td");
+    const keepBtn = document.createElement("button");
+    keepBtn.type = "button";
+    keepBtn.textContent = result.keep.map(formatCardLabel).join(" ");
+    keepBtn.setAttribute(
+      "aria-label",
+      `${t("discard.loadKeep")}: ${result.keep.map(getCardName).join(", ")}`,
+    );
+    keepCell.appendChild(keepBtn);
+    row.appendChild(keepCell);
+
+    [
+      result.thrown.map(formatCardLabel).join(" "),
+      result.min,
+      formatNumber(result.avg, 2),
+      result.max,
+      formatNumber(result.crib, 2),
+      formatNumber(result.net, 2),
+    ].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    row.addEventListener("click", () => {
+      setMode("hand");
+      ensureFourCardHands();
+      setSelectedCards(result.keep);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+
+  container.appendChild(table);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".discard-advisor");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("discardAdvisorToggle"),
+    document.getElementById("discardAdvisorContent"),
+    section,
+  );
+
+  buildDeckGrid(
+    document.getElementById("discardDeckGrid"),
+    handleDiscardCardClick,
+  );
+
+  document.querySelectorAll('input[name="discardRole"]').forEach((radio) => {
+    radio.addEventListener("change", updateDiscardAdvisor);
+  });
+
+  document
+    .getElementById("discardClearBtn")
+    .addEventListener("click", clearDiscardCards);
+  document.addEventListener("languagechanged", () => {
+    updateDiscardSlots();
+    renderDiscardResults();
+  });
+  // Rerun with the counter's rules picker: the house rules change the crib
+  // and lowball flips best first
+  document.addEventListener("scoreupdated", updateDiscardAdvisor);
+
+  updateDiscardAdvisor();
+});
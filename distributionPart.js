@@ -0,0 +1,187 @@
+// Score Distribution
+// Histogram of every hand+cut score and how rare the current hand is
+
+// Resolve with the score counts for "hand" or "crib", computing them once
+function getDistribution(mode, onProgress) {
+  return getWorkerResult(
+    `distribution:${mode}`,
+    "distribution",
+    { isCrib: mode === "crib" },
+    onProgress,
+  );
+}
+
+function getStoredDistribution(mode) {
+  return getCachedWorkerResult(`distribution:${mode}`);
+}
+
+function getDistributionMode() {
+  const checked = document.querySelector('input[name="distMode"]:checked');
+  return checked ? checked.value : "hand";
+}
+
+function renderHistogram(counts, mode) {
+  const chart = document.getElementById("distributionChart");
+  chart.innerHTML = "";
+  const all = counts.reduce((sum, count) => sum + count, 0);
+  const max = Math.max(...counts);
+
+  counts.forEach((count, score) => {
+    const row = document.createElement("div");
+    row.className = "histogram-row";
+    // No highlight until a muggins claim, or it would give the count away
+    if (
+      currentScore &&
+      getMode() === mode &&
+      currentScore.total === score &&
+      !document.body.classList.contains("muggins-concealed")
+    ) {
+      row.classList.add("current");
+    }
+
+    const label = document.createElement("span");
+    label.className = "histogram-score";
+    label.textContent = score;
+
+    const track = document.createElement("span");
+    track.className = "histogram-track";
+    const bar = document.createElement("span");
+    bar.className = "histogram-bar";
+    bar.style.width = `${(count / max) * 100}%`;
+    track.appendChild(bar);
+
+    const value = document.createElement("span");
+    value.className = "histogram-value";
+    value.textContent = `${formatNumber(count)} (${formatNumber((count / all) * 100, 3)}%)`;
+
+    row.appendChild(label);
+    row.appendChild(track);
+    row.appendChild(value);
+    chart.appendChild(row);
+  });
+}
+
+function showDistributionStatus(text) {
+  document.getElementById("distributionStatus").textContent = text;
+}
+
+function updateDistributionPanel() {
+  const mode = getDistributionMode();
+  const chart = document.getElementById("distributionChart");
+
+  const counts = getStoredDistribution(mode);
+  if (counts) {
+    showDistributionStatus(
+      t(mode === "crib" ? "dist.allCribs" : "dist.allHands", {
+        count: HAND_COMBINATIONS,
+      }),
+    );
+    renderHistogram(counts, mode);
+    return;
+  }
+
+  chart.innerHTML = "";
+  showDistributionStatus(t("worker.scoring"));
+  getDistribution(mode, (done, total) => {
+    if (mode === getDistributionMode()) {
+      showDistributionStatus(
+        t("worker.progress", { percent: Math.round((done / total) * 100) }),
+      );
+    }
+  })
+    .then(() => {
+      if (getDistributionMode() === mode) updateDistributionPanel();
+      updateRarityBadge();
+    })
+    .catch(() => {
+      showDistributionStatus(t("dist.workersUnavailable"));
+    });
+}
+
+// One decimal place, with more near 100% so rare hands don't round up to it
+function formatPercentile(percentile) {
+  let digits = 1;
+  while (
+    digits < 5 &&
+    percentile < 100 &&
+    Number(percentile.toFixed(digits)) === 100
+  ) {
+    digits++;
+  }
+  return formatNumber(percentile, digits);
+}
+
+// "This 16 beats 94.1% of hands" next to the total
+function updateRarityBadge() {
+  const badge = document.getElementById("rarityBadge");
+  if (!currentScore) {
+    badge.textContent = "";
+    return;
+  }
+
+  // The distributions are for standard counting only
+  const mode = getMode() === "crib" ? "crib" : "hand";
+  const rules = getRules();
+  const isStandardCount =
+    mode === "crib"
+      ? !rules.cribFourFlush && !rules.hisHeels
+      : rules.handSize === 4;
+  if (!isStandardCount) {
+    badge.textContent = "";
+    return;
+  }
+
+  const counts = getStoredDistribution(mode);
+  if (!counts) {
+    badge.textContent = "";
+    getDistribution(mode)
+      .then(updateRarityBadge)
+      .catch(() => {});
+    return;
+  }
+
+  const percentile = getScorePercentile(
+    counts,
+    currentScore.total,
+    rules.lowball,
+  );
+  badge.textContent = t(
+    mode === "crib" ? "dist.beatsCribs" : "dist.beatsHands",
+    {
+      total: currentScore.total,
+      percent: formatPercentile(percentile),
+    },
+  );
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".distribution-panel");
+  if (!section) return;
+
+  const toggle = document.getElementById("distributionToggle");
+  setupCollapsible(
+    toggle,
+    document.getElementById("distributionContent"),
+    section,
+  );
+  toggle.addEventListener("click", () => {
+    if (section.classList.contains("expanded")) {
+      updateDistributionPanel();
+    }
+  });
+
+  document.querySelectorAll('input[name="distMode"]').forEach((radio) => {
+    radio.addEventListener("change", updateDistributionPanel);
+  });
+
+  const refresh = () => {
+    updateRarityBadge();
+    if (section.classList.contains("expanded")) {
+      updateDistributionPanel();
+    }
+  };
+  document.addEventListener("scoreupdated", refresh);
+  document.addEventListener("languagechanged", refresh);
+  document.addEventListener("mugginschanged", refresh);
+  updateRarityBadge();
+});
@@ -0,0 +1,265 @@
+// Image Export
+// Draw the scored hand onto a canvas as a PNG to download or paste in a chat
+
+const EXPORT_WIDTH = 600;
+const EXPORT_SCALE = 2; // sharp on high-density screens
+const EXPORT_PADDING = 30;
+const EXPORT_CARD = { width: 80, height: 112, gap: 15 };
+const EXPORT_FONT =
+  '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Ubuntu, sans-serif';
+// Same suit colours as the deck grid
+const EXPORT_SUIT_COLORS = { red: "#ff6b6b", black: "#fff" };
+
+let exportState = null; // { cards, score, isCrib, rules } of the scored hand
+
+function isRedSuit(suit) {
+  return suit === "♥" || suit === "♦";
+}
+
+// Split text into lines that fit maxWidth in the context's current font
+function wrapCanvasText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  text.split(/\s+/).forEach((word) => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+function drawRoundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+function drawExportCard(ctx, card, x, y) {
+  const { width, height } = EXPORT_CARD;
+  drawRoundedRect(ctx, x, y, width, height, 12);
+  ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+  ctx.stroke();
+
+  ctx.fillStyle = EXPORT_SUIT_COLORS[isRedSuit(card.suit) ? "red" : "black"];
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = `700 30px ${EXPORT_FONT}`;
+  ctx.fillText(formatRankLabel(card.rank), x + width / 2, y + height * 0.35);
+  ctx.font = `34px ${EXPORT_FONT}`;
+  ctx.fillText(card.suit, x + width / 2, y + height * 0.7);
+}
+
+// Lines of text under the total: the breakdown, or the MONDOR message
+function getExportLines(ctx, { score, isCrib, rules }) {
+  const maxWidth = EXPORT_WIDTH - EXPORT_PADDING * 2;
+  if (score.total === 0 && !rules.lowball) {
+    ctx.font = `800 24px ${EXPORT_FONT}`;
+    const text = `${t("score.mondorBefore")}MONDOR${t("score.mondorAfter")}`;
+    return wrapCanvasText(ctx, text, maxWidth).map((text) => ({
+      text,
+      font: ctx.font,
+      color: "#ff6b6b",
+      height: 32,
+    }));
+  }
+
+  const lines = [];
+  describeScore(score, isCrib).forEach(({ label, details }) => {
+    ctx.font = `700 18px ${EXPORT_FONT}`;
+    lines.push({ text: label, font: ctx.font, color: "#fff", height: 26 });
+    ctx.font = `15px ${EXPORT_FONT}`;
+    wrapCanvasText(ctx, details, maxWidth).forEach((text) => {
+      lines.push({
+        text,
+        font: ctx.font,
+        color: "rgba(255, 255, 255, 0.8)",
+        height: 21,
+      });
+    });
+    lines[lines.length - 1].height += 8;
+  });
+  return lines;
+}
+
+// Render the hand, cut, mode, total and breakdown into the canvas
+function drawScoreImage(canvas, state) {
+  const { cards, score, isCrib, rules } = state;
+  const ctx = canvas.getContext("2d");
+  const lines = getExportLines(ctx, state);
+  const cardsTop = 110;
+  const totalTop = cardsTop + EXPORT_CARD.height + 30;
+  const linesTop = totalTop + 90;
+  const height =
+    linesTop +
+    lines.reduce((sum, line) => sum + line.height, 0) +
+    EXPORT_PADDING;
+
+  // Resizing clears the canvas (and the scale), so size it before drawing
+  canvas.width = EXPORT_WIDTH * EXPORT_SCALE;
+  canvas.height = height * EXPORT_SCALE;
+  ctx.scale(EXPORT_SCALE, EXPORT_SCALE);
+
+  const background = ctx.createLinearGradient(0, 0, 0, height);
+  background.addColorStop(0, "#1b4332");
+  background.addColorStop(1, "#081c15");
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, EXPORT_WIDTH, height);
+
+  // Title, then mode and ruleset
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = "#fff";
+  ctx.font = `800 24px ${EXPORT_FONT}`;
+  ctx.fillText(t("app.title"), EXPORT_PADDING, 50);
+  ctx.fillStyle = "rgba(255, 255, 255, 0.75)";
+  ctx.font = `600 16px ${EXPORT_FONT}`;
+  ctx.fillText(
+    `${t(isCrib ? "mode.crib" : "mode.hand")} · ${t(`ruleset.${rules.id}`)}`,
+    EXPORT_PADDING,
+    78,
+  );
+
+  // Hand cards, then the cut set apart
+  const hand = cards.slice(0, -1);
+  const cutX =
+    EXPORT_PADDING +
+    hand.length * (EXPORT_CARD.width + EXPORT_CARD.gap) +
+    EXPORT_CARD.gap;
+  hand.forEach((card, i) => {
+    drawExportCard(
+      ctx,
+      card,
+      EXPORT_PADDING + i * (EXPORT_CARD.width + EXPORT_CARD.gap),
+      cardsTop,
+    );
+  });
+  drawExportCard(ctx, cards[cards.length - 1], cutX, cardsTop);
+  ctx.fillStyle = "rgba(255, 255, 255, 0.75)";
+  ctx.font = `600 13px ${EXPORT_FONT}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillText(
+    t("cut.heading"),
+    cutX + EXPORT_CARD.width / 2,
+    cardsTop + EXPORT_CARD.height + 20,
+  );
+
+  // Total
+  ctx.textAlign = "left";
+  ctx.fillStyle = "#fff";
+  ctx.font = `700 20px ${EXPORT_FONT}`;
+  ctx.fillText(t("score.totalLabel"), EXPORT_PADDING, totalTop + 45);
+  const labelWidth = ctx.measureText(t("score.totalLabel")).width;
+  ctx.fillStyle = "#ffd54f";
+  ctx.font = `800 56px ${EXPORT_FONT}`;
+  ctx.fillText(
+    String(score.total),
+    EXPORT_PADDING + labelWidth + 15,
+    totalTop + 55,
+  );
+
+  let y = linesTop;
+  lines.forEach((line) => {
+    ctx.fillStyle = line.color;
+    ctx.font = line.font;
+    ctx.fillText(line.text, EXPORT_PADDING, y);
+    y += line.height;
+  });
+}
+
+function setExportStatus(text) {
+  document.getElementById("exportStatus").textContent = text;
+}
+
+function canCopyImage() {
+  return (
+    typeof ClipboardItem === "function" &&
+    Boolean(navigator.clipboard && navigator.clipboard.write)
+  );
+}
+
+function showExportImage() {
+  if (!exportState) return;
+  const canvas = document.createElement("canvas");
+  drawScoreImage(canvas, exportState);
+
+  const image = document.getElementById("exportImage");
+  image.src = canvas.toDataURL("image/png");
+  const link = document.getElementById("exportDownloadLink");
+  link.href = image.src;
+  link.download = `cribbage-${exportState.isCrib ? "crib" : "hand"}-${exportState.score.total}.png`;
+
+  document.getElementById("exportCopyBtn").hidden = !canCopyImage();
+  document.getElementById("exportPreview").classList.remove("panel-hidden");
+  setExportStatus("");
+}
+
+function closeExportImage() {
+  document.getElementById("exportPreview").classList.add("panel-hidden");
+  setExportStatus("");
+}
+
+// The blob is handed over as a promise so the write still counts as part of
+// the click (Safari refuses clipboard writes that start later)
+function copyExportImage() {
+  const blob = fetch(document.getElementById("exportImage").src).then(
+    (response) => response.blob(),
+  );
+  navigator.clipboard
+    .write([new ClipboardItem({ "image/png": blob })])
+    .then(() => setExportStatus(t("export.copied")))
+    .catch(() => setExportStatus(t("export.copyFailed")));
+}
+
+function updateExport({ score, isCrib, rules }) {
+  exportState = score
+    ? { cards: getScoredCards(), score, isCrib, rules }
+    : null;
+  document.getElementById("exportImageBtn").disabled = !exportState;
+
+  // Keep an open preview in step with the hand
+  if (
+    document.getElementById("exportPreview").classList.contains("panel-hidden")
+  ) {
+    return;
+  }
+  if (exportState) {
+    showExportImage();
+  } else {
+    closeExportImage();
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (!document.getElementById("exportImageBtn")) return;
+
+  document
+    .getElementById("exportImageBtn")
+    .addEventListener("click", showExportImage);
+  document
+    .getElementById("exportCopyBtn")
+    .addEventListener("click", copyExportImage);
+  document
+    .getElementById("exportCloseBtn")
+    .addEventListener("click", closeExportImage);
+  document.addEventListener("scoreupdated", (e) => updateExport(e.detail));
+
+  // cribPart scored the starting hand before this listener existed
+  updateExport({
+    score: currentScore,
+    isCrib: getMode() === "crib",
+    rules: getRules(),
+  });
+});
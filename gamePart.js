@@ -0,0 +1,425 @@
+// Game Tracker
+// Post hand, crib and pegging points to a 121-hole board
+
+const GAME_STORAGE_KEY = "cribbageGame";
+const WINNING_SCORE = 121;
+const SKUNK_LINE = 91;
+const DOUBLE_SKUNK_LINE = 61;
+const PEG_COLORS = ["#ff6b6b", "#4dabf7", "#51cf66"];
+
+// Board geometry (SVG user units)
+const BOARD_PAD = 40;
+const HOLE_GAP = 14;
+const GROUP_GAP = 10;
+const LANE_GAP = 14;
+const STREET_GAP = 22;
+const HOLES_PER_STREET = 30;
+const STREETS = 4;
+
+let gameState = null;
+
+// At lowball the first player to the game hole loses
+function createGame(names, dealer = 0, lowball = false) {
+  return {
+    players: names.map((name) => ({ name, score: 0, previous: 0 })),
+    dealer,
+    step: 0,
+    winner: null,
+    loser: null,
+    lowball,
+    log: [],
+  };
+}
+
+// Counting order for the show: players clockwise from the dealer's left,
+// then the dealer, then the dealer's crib
+function getShowOrder(state) {
+  const count = state.players.length;
+  const order = [];
+  for (let i = 1; i <= count; i++) {
+    order.push({ player: (state.dealer + i) % count, isCrib: false });
+  }
+  order.push({ player: state.dealer, isCrib: true });
+  return order;
+}
+
+// Move a player's front peg forward; the old front peg becomes the back peg
+function pegPoints(state, playerIndex, points, source) {
+  if (state.winner !== null || points <= 0) return state;
+
+  const player = state.players[playerIndex];
+  player.previous = player.score;
+  player.score = Math.min(WINNING_SCORE, player.score + points);
+  state.log.push({ player: playerIndex, points, source });
+
+  if (player.score >= WINNING_SCORE) {
+    if (state.lowball) {
+      state.loser = playerIndex;
+      state.winner = getLowestPlayer(state, playerIndex);
+    } else {
+      state.winner = playerIndex;
+    }
+  }
+  return state;
+}
+
+// The player furthest behind besides the one left out (the first on a tie)
+function getLowestPlayer(state, except) {
+  let lowest = null;
+  state.players.forEach((player, index) => {
+    if (index === except) return;
+    if (lowest === null || player.score < state.players[lowest].score) {
+      lowest = index;
+    }
+  });
+  return lowest;
+}
+
+// Post the next show count in order and advance to the next round after the crib
+function postShowCount(state, points) {
+  const order = getShowOrder(state);
+  const { player, isCrib } = order[state.step];
+  pegPoints(state, player, points, isCrib ? "crib" : "hand");
+
+  state.step++;
+  if (state.step >= order.length) {
+    state.step = 0;
+    state.dealer = (state.dealer + 1) % state.players.length;
+  }
+  return state;
+}
+
+// "skunk" below 91, "double-skunk" below 61, otherwise null
+function getSkunk(score) {
+  if (score < DOUBLE_SKUNK_LINE) return "double-skunk";
+  if (score < SKUNK_LINE) return "skunk";
+  return null;
+}
+
+function saveGame() {
+  try {
+    if (gameState) {
+      localStorage.setItem(GAME_STORAGE_KEY, JSON.stringify(gameState));
+    } else {
+      localStorage.removeItem(GAME_STORAGE_KEY);
+    }
+  } catch (e) {
+    // Storage unavailable (private mode): the game just won't persist
+  }
+}
+
+function loadGame() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GAME_STORAGE_KEY));
+    if (saved && Array.isArray(saved.players) && saved.players.length >= 2) {
+      return saved;
+    }
+  } catch (e) {
+    // Corrupt or missing save: start fresh
+  }
+  return null;
+}
+
+// Position of a hole on the board for a score (0 = start, 121 = game hole)
+function getHolePosition(score, lane, laneCount) {
+  const streetHeight = laneCount * LANE_GAP + STREET_GAP;
+
+  if (score <= 0) {
+    return { x: BOARD_PAD - 2 * HOLE_GAP, y: BOARD_PAD + lane * LANE_GAP };
+  }
+  if (score >= WINNING_SCORE) {
+    return {
+      x: BOARD_PAD - 2 * HOLE_GAP,
+      y:
+        BOARD_PAD +
+        (STREETS - 1) * streetHeight +
+        ((laneCount - 1) * LANE_GAP) / 2,
+    };
+  }
+
+  const street = Math.floor((score - 1) / HOLES_PER_STREET);
+  let column = (score - 1) % HOLES_PER_STREET;
+  // Streets snake back and forth across the board
+  if (street % 2 === 1) {
+    column = HOLES_PER_STREET - 1 - column;
+  }
+  return {
+    x: BOARD_PAD + column * HOLE_GAP + Math.floor(column / 5) * GROUP_GAP,
+    y: BOARD_PAD + street * streetHeight + lane * LANE_GAP,
+  };
+}
+
+function createSvgElement(tag, attributes) {
+  const el = document.createElementNS("http://www.w3.org/2000/svg", tag);
+  Object.entries(attributes).forEach(([key, value]) => {
+    el.setAttribute(key, value);
+  });
+  return el;
+}
+
+function renderBoard(state) {
+  const board = document.getElementById("gameBoard");
+  board.innerHTML = "";
+  const laneCount = state.players.length;
+
+  const last = getHolePosition(HOLES_PER_STREET, 0, laneCount);
+  const width = last.x + BOARD_PAD;
+  const height =
+    BOARD_PAD * 2 + STREETS * (laneCount * LANE_GAP + STREET_GAP) - STREET_GAP;
+  board.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+  board.appendChild(
+    createSvgElement("rect", {
+      x: 0,
+      y: 0,
+      width,
+      height,
+      rx: 16,
+      class: "board-wood",
+    }),
+  );
+
+  state.players.forEach((player, lane) => {
+    for (let hole = 0; hole <= WINNING_SCORE; hole++) {
+      if (hole === WINNING_SCORE && lane > 0) break;
+      const { x, y } = getHolePosition(hole, lane, laneCount);
+      board.appendChild(
+        createSvgElement("circle", {
+          cx: x,
+          cy: y,
+          r: hole === WINNING_SCORE ? 5 : 3,
+          class: "board-hole",
+        }),
+      );
+    }
+  });
+
+  state.players.forEach((player, lane) => {
+    const color = PEG_COLORS[lane % PEG_COLORS.length];
+    [
+      { score: player.previous, className: "board-peg back" },
+      { score: player.score, className: "board-peg front" },
+    ].forEach(({ score, className }) => {
+      const { x, y } = getHolePosition(score, lane, laneCount);
+      const peg = createSvgElement("circle", {
+        cx: x,
+        cy: y,
+        r: 5,
+        fill: color,
+        class: className,
+      });
+      const title = createSvgElement("title", {});
+      title.textContent = `${player.name}: ${score}`;
+      peg.appendChild(title);
+      board.appendChild(peg);
+    });
+  });
+}
+
+function renderGame() {
+  const setup = document.getElementById("gameSetup");
+  const play = document.getElementById("gamePlay");
+
+  setup.classList.toggle("panel-hidden", gameState !== null);
+  play.classList.toggle("panel-hidden", gameState === null);
+  if (!gameState) return;
+
+  renderBoard(gameState);
+
+  const scores = document.getElementById("gameScores");
+  scores.innerHTML = "";
+  gameState.players.forEach((player, index) => {
+    const row = document.createElement("div");
+    row.className = "game-player";
+    row.style.borderLeftColor = PEG_COLORS[index % PEG_COLORS.length];
+
+    const name = document.createElement("span");
+    name.className = "game-player-name";
+    name.textContent =
+      index === gameState.dealer
+        ? t("game.dealerName", { name: player.name })
+        : player.name;
+
+    const score = document.createElement("span");
+    score.className = "game-player-score";
+    score.textContent = player.score;
+
+    row.appendChild(name);
+    row.appendChild(score);
+
+    // Nobody is skunked at lowball, where a low score is the aim
+    if (
+      gameState.winner !== null &&
+      index !== gameState.winner &&
+      !gameState.lowball
+    ) {
+      const skunk = getSkunk(player.score);
+      if (skunk) {
+        const badge = document.createElement("span");
+        badge.className = `skunk-badge ${skunk}`;
+        badge.textContent = t(
+          skunk === "skunk" ? "game.skunked" : "game.doubleSkunked",
+        );
+        row.appendChild(badge);
+      }
+    }
+    scores.appendChild(row);
+  });
+
+  const status = document.getElementById("gameStatus");
+  const postBtn = document.getElementById("gamePostBtn");
+  if (gameState.winner !== null) {
+    const name = gameState.players[gameState.winner].name;
+    status.textContent = gameState.lowball
+      ? t("game.lowballWins", {
+          name,
+          loser: gameState.players[gameState.loser].name,
+        })
+      : t("game.wins", { name });
+    postBtn.disabled = true;
+  } else {
+    const next = getShowOrder(gameState)[gameState.step];
+    const name = gameState.players[next.player].name;
+    status.textContent = t(next.isCrib ? "game.nextCrib" : "game.nextHand", {
+      name,
+    });
+    postBtn.disabled = !currentScore;
+    postBtn.innerHTML = "";
+    if (currentScore) {
+      // Both labels are there so a muggins claim can swap them without a
+      // re-render; the one with the total stays hidden until the claim
+      const total = document.createElement("span");
+      total.className = "game-post-total";
+      total.textContent = t("game.post", { total: currentScore.total, name });
+      const concealed = document.createElement("span");
+      concealed.className = "game-post-concealed";
+      concealed.textContent = t("game.postCurrent");
+      postBtn.appendChild(total);
+      postBtn.appendChild(concealed);
+    } else {
+      postBtn.textContent = t("game.postCurrent");
+    }
+  }
+
+  const pegPlayer = document.getElementById("gamePegPlayer");
+  const selected = pegPlayer.value;
+  pegPlayer.innerHTML = "";
+  gameState.players.forEach((player, index) => {
+    const option = document.createElement("option");
+    option.value = index;
+    option.textContent = player.name;
+    pegPlayer.appendChild(option);
+  });
+  if (selected && selected < gameState.players.length) {
+    pegPlayer.value = selected;
+  }
+  document.getElementById("gamePegBtn").disabled = gameState.winner !== null;
+}
+
+function startGame() {
+  if (gameState && gameState.winner === null && !confirm(t("game.abandon"))) {
+    return;
+  }
+
+  const count = parseInt(document.getElementById("gamePlayerCount").value, 10);
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    const input = document.getElementById(`gamePlayerName${i}`);
+    names.push(input.value.trim() || t("game.player", { number: i + 1 }));
+  }
+  const dealer = parseInt(document.getElementById("gameFirstDealer").value, 10);
+
+  gameState = createGame(
+    names,
+    dealer < count ? dealer : 0,
+    getRules().lowball,
+  );
+  saveGame();
+  renderGame();
+}
+
+function endGame() {
+  if (gameState.winner === null && !confirm(t("game.abandon"))) {
+    return;
+  }
+  gameState = null;
+  saveGame();
+  renderGame();
+}
+
+function postCurrentCount() {
+  if (!currentScore) {
+    showError(t("game.selectAll", { count: getActiveHandSize() + 1 }));
+    return;
+  }
+
+  const next = getShowOrder(gameState)[gameState.step];
+  if (next.isCrib !== (getMode() === "crib")) {
+    showError(t(next.isCrib ? "game.needCrib" : "game.needHand"));
+    return;
+  }
+
+  postShowCount(gameState, currentScore.total);
+  saveGame();
+  renderGame();
+}
+
+function pegManualPoints() {
+  const input = document.getElementById("gamePegPoints");
+  const points = parseInt(input.value, 10);
+  if (!points || points < 1) {
+    showError(t("game.enterPoints"));
+    return;
+  }
+
+  const player = parseInt(document.getElementById("gamePegPlayer").value, 10);
+  pegPoints(gameState, player, points, "pegging");
+  input.value = "";
+  saveGame();
+  renderGame();
+}
+
+function updatePlayerNameInputs() {
+  const count = parseInt(document.getElementById("gamePlayerCount").value, 10);
+  document.querySelectorAll(".game-name-input").forEach((label, index) => {
+    label.classList.toggle("panel-hidden", index >= count);
+  });
+  document
+    .querySelectorAll("#gameFirstDealer option")
+    .forEach((option, index) => {
+      option.disabled = index >= count;
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".game-tracker");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("gameTrackerToggle"),
+    document.getElementById("gameTrackerContent"),
+    section,
+  );
+
+  document
+    .getElementById("gamePlayerCount")
+    .addEventListener("change", updatePlayerNameInputs);
+  document.getElementById("gameStartBtn").addEventListener("click", startGame);
+  document.getElementById("gameEndBtn").addEventListener("click", endGame);
+  document
+    .getElementById("gamePostBtn")
+    .addEventListener("click", postCurrentCount);
+  document
+    .getElementById("gamePegBtn")
+    .addEventListener("click", pegManualPoints);
+
+  // Keep the post button in step with the counter above
+  document.addEventListener("scoreupdated", () => {
+    if (gameState) renderGame();
+  });
+  document.addEventListener("languagechanged", renderGame);
+
+  gameState = loadGame();
+  updatePlayerNameInputs();
+  renderGame();
+});
@@ -0,0 +1,490 @@
+// Scoring History
+// Log scored hands on request, with stats and CSV/JSON export and import
+
+const HISTORY_STORAGE_KEY = "cribbageHistory";
+const HISTORY_PLAYER_KEY = "cribbageHistoryPlayer";
+const HISTORY_SESSION_KEY = "cribbageHistorySession";
+const HISTORY_LIMIT = 1000;
+const HISTORY_SHOWN = 50;
+const HISTORY_CSV_COLUMNS = [
+  "time",
+  "player",
+  "mode",
+  "rules",
+  "cribFourFlush",
+  "hisHeels",
+  "hand",
+  "cut",
+  "total",
+  ...SCORE_CATEGORIES,
+  "session",
+];
+
+let historyEntries = []; // newest first
+let historySession = null;
+
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      historyEntries = saved;
+    }
+  } catch (e) {
+    // No history yet
+  }
+}
+
+function saveHistory() {
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(historyEntries));
+  } catch (e) {
+    // Storage unavailable or full: the history lasts until the page is closed
+  }
+}
+
+// A session lasts as long as the browser tab
+function getHistorySession() {
+  if (!historySession) {
+    try {
+      historySession = sessionStorage.getItem(HISTORY_SESSION_KEY);
+      if (!historySession) {
+        historySession = new Date().toISOString();
+        sessionStorage.setItem(HISTORY_SESSION_KEY, historySession);
+      }
+    } catch (e) {
+      historySession = new Date().toISOString();
+    }
+  }
+  return historySession;
+}
+
+function getHistoryKey(entry) {
+  return [
+    entry.mode,
+    entry.rules.id,
+    entry.rules.cribFourFlush,
+    entry.rules.hisHeels,
+    entry.hand.join(" "),
+    entry.cut,
+  ].join("|");
+}
+
+// Build a history entry from hand and cut card codes, scoring it afresh;
+// null if the cards don't make a valid hand under the rules. Entries may come
+// from an imported file, so nothing about their shape is taken on trust
+function createHistoryEntry({ time, player, mode, rules, hand, cut, session }) {
+  const isCrib = mode === "crib";
+  const preset = rules ? getRuleset(rules.id) : null;
+  if (!preset || (mode !== "hand" && mode !== "crib")) return null;
+  if (
+    !Array.isArray(hand) ||
+    ![...hand, cut].every((code) => typeof code === "string")
+  ) {
+    return null;
+  }
+  // Only the house rules come from the entry, the rest is the preset's
+  const fullRules = {
+    ...preset,
+    cribFourFlush: rules.cribFourFlush === true,
+    hisHeels: rules.hisHeels === true,
+  };
+
+  const cards = [...hand, cut].map(parseCard);
+  const keys = cards.filter(Boolean).map(formatCard);
+  if (cards.some((c) => !c) || new Set(keys).size !== keys.length) return null;
+
+  const score = scoreHand(cards, isCrib, fullRules);
+  if (!score) return null;
+
+  const breakdown = {};
+  SCORE_CATEGORIES.forEach((category) => {
+    breakdown[category] = score[category].points;
+  });
+  return {
+    time,
+    player: typeof player === "string" ? player : "",
+    mode,
+    rules: {
+      id: fullRules.id,
+      cribFourFlush: fullRules.cribFourFlush,
+      hisHeels: fullRules.hisHeels,
+    },
+    hand: cards.slice(0, -1).map(toCardCode),
+    cut: toCardCode(cards[cards.length - 1]),
+    total: score.total,
+    breakdown,
+    session: typeof session === "string" ? session : "",
+  };
+}
+
+function getHistoryPlayer() {
+  return document.getElementById("historyPlayer").value.trim();
+}
+
+// The hand on screen as a history entry, or null while it's incomplete
+function getCurrentHistoryEntry() {
+  if (!currentScore) return null;
+  const cards = getScoredCards();
+  return createHistoryEntry({
+    time: new Date().toISOString(),
+    player: getHistoryPlayer(),
+    mode: getMode(),
+    rules: getRules(),
+    hand: cards.slice(0, -1).map(toCardCode),
+    cut: toCardCode(cards[cards.length - 1]),
+    session: getHistorySession(),
+  });
+}
+
+function isLatestHistoryEntry(entry) {
+  return (
+    historyEntries.length > 0 &&
+    getHistoryKey(historyEntries[0]) === getHistoryKey(entry)
+  );
+}
+
+// Log the hand on screen. Only on request: the counter passes through
+// half-finished hands while cards are swapped, replaced or undone
+function saveCurrentHand() {
+  const entry = getCurrentHistoryEntry();
+  if (!entry || isLatestHistoryEntry(entry)) return;
+
+  historyEntries.unshift(entry);
+  historyEntries.length = Math.min(historyEntries.length, HISTORY_LIMIT);
+  saveHistory();
+  renderHistory();
+}
+
+function updateHistorySaveButton() {
+  const entry = getCurrentHistoryEntry();
+  const saved = entry !== null && isLatestHistoryEntry(entry);
+  const button = document.getElementById("historySaveBtn");
+  button.disabled = !entry || saved;
+  button.textContent = t(saved ? "history.saved" : "history.save");
+}
+
+function openHistoryEntry(entry) {
+  setRules(entry.rules);
+  setMode(entry.mode);
+  const hand = entry.hand.map(parseCard);
+  setSelectedCards([hand[0], hand[1], hand[2], hand[3], parseCard(entry.cut)]);
+}
+
+// Each entry counts by its own rules, whatever the rules picked now
+function isLowballEntry(entry) {
+  const preset = getRuleset(entry.rules.id);
+  return preset !== null && preset.lowball;
+}
+
+// The best lowball hand is the lowest one, so it's kept apart
+function getHistoryStats(entries) {
+  const hands = entries.filter((entry) => entry.mode === "hand");
+  const cribs = entries.filter((entry) => entry.mode === "crib");
+  const average = (list) =>
+    list.length > 0
+      ? list.reduce((sum, entry) => sum + entry.total, 0) / list.length
+      : null;
+  const best = (list, pick) =>
+    list.length > 0 ? pick(...list.map((entry) => entry.total)) : null;
+
+  return {
+    count: entries.length,
+    averageHand: average(hands),
+    averageCrib: average(cribs),
+    bestHand: best(
+      hands.filter((entry) => !isLowballEntry(entry)),
+      Math.max,
+    ),
+    bestLowballHand: best(hands.filter(isLowballEntry), Math.min),
+    mondors: entries.filter(
+      (entry) => entry.total === 0 && !isLowballEntry(entry),
+    ).length,
+  };
+}
+
+function describeHistoryStats(label, entries) {
+  const stats = getHistoryStats(entries);
+  if (stats.count === 0) {
+    return t("history.noHands", { label });
+  }
+  const format = (value) => (value === null ? "-" : formatNumber(value, 1));
+  return t("history.stats", {
+    label,
+    counted: t("history.counted", { count: stats.count }),
+    hand: format(stats.averageHand),
+    crib: format(stats.averageCrib),
+    best: stats.bestHand === null ? "-" : stats.bestHand,
+    lowball:
+      stats.bestLowballHand === null
+        ? ""
+        : t("history.bestLowball", { best: stats.bestLowballHand }),
+    mondors: t("history.mondors", { count: stats.mondors }),
+  });
+}
+
+function renderHistory() {
+  const session = getHistorySession();
+  document.getElementById("historySessionStats").textContent =
+    describeHistoryStats(
+      t("history.thisSession"),
+      historyEntries.filter((entry) => entry.session === session),
+    );
+  document.getElementById("historyAllStats").textContent = describeHistoryStats(
+    t("history.allTime"),
+    historyEntries,
+  );
+
+  const list = document.getElementById("historyList");
+  list.innerHTML = "";
+  historyEntries.slice(0, HISTORY_SHOWN).forEach((entry) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-entry";
+    button.title = t("history.openTitle");
+
+    const hand = entry.hand.map((code) => formatCardLabel(parseCard(code)));
+    const when = new Date(entry.time).toLocaleString(getLanguage());
+    const who = entry.player ? ` · ${entry.player}` : "";
+    const rules =
+      entry.rules.id === "standard"
+        ? ""
+        : ` · ${t(`ruleset.${entry.rules.id}`)}`;
+    button.textContent =
+      `${hand.join(" ")} | ${formatCardLabel(parseCard(entry.cut))} - ` +
+      t(entry.mode === "crib" ? "history.crib" : "history.hand", {
+        total: entry.total,
+      }) +
+      `${rules}${who} · ${when}`;
+    button.addEventListener("click", () => openHistoryEntry(entry));
+
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+
+  document
+    .getElementById("historyEmpty")
+    .classList.toggle("panel-hidden", historyEntries.length > 0);
+  updateHistorySaveButton();
+}
+
+function clearHistory() {
+  if (!confirm(t("history.confirmClear"))) return;
+  historyEntries = [];
+  saveHistory();
+  renderHistory();
+}
+
+// Export
+
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyToCsv(entries) {
+  const rows = entries.map((entry) =>
+    [
+      entry.time,
+      entry.player,
+      entry.mode,
+      entry.rules.id,
+      entry.rules.cribFourFlush ? 1 : 0,
+      entry.rules.hisHeels ? 1 : 0,
+      entry.hand.join(" "),
+      entry.cut,
+      entry.total,
+      ...SCORE_CATEGORIES.map((category) => entry.breakdown[category]),
+      entry.session,
+    ]
+      .map(escapeCsvField)
+      .join(","),
+  );
+  return [HISTORY_CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// Split CSV text into rows of fields, honouring quoted fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value !== ""));
+}
+
+function csvToHistory(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  return rows.map((values) => {
+    const row = {};
+    header.forEach((column, index) => {
+      row[column.trim()] = values[index] || "";
+    });
+    return {
+      time: row.time,
+      player: row.player,
+      mode: row.mode,
+      rules: {
+        id: row.rules || "standard",
+        cribFourFlush: row.cribFourFlush === "1",
+        hisHeels: row.hisHeels === "1",
+      },
+      hand: row.hand ? row.hand.split(/\s+/) : [],
+      cut: row.cut,
+      session: row.session,
+    };
+  });
+}
+
+function downloadHistory(format) {
+  const text =
+    format === "csv"
+      ? historyToCsv(historyEntries)
+      : JSON.stringify(historyEntries, null, 2);
+  const blob = new Blob([text], {
+    type: format === "csv" ? "text/csv" : "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `cribbage-history.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+// Import: merge hands from a CSV or JSON export, rescoring each one
+
+function importHistoryText(text, fileName) {
+  let rows;
+  try {
+    rows = /\.json$/i.test(fileName) ? JSON.parse(text) : csvToHistory(text);
+  } catch (e) {
+    rows = null;
+  }
+  if (!Array.isArray(rows)) {
+    showError(t("history.notExport", { file: fileName }));
+    return;
+  }
+
+  const known = new Set(
+    historyEntries.map((entry) => `${entry.time}|${getHistoryKey(entry)}`),
+  );
+  let added = 0;
+  let skipped = 0;
+  rows.forEach((row) => {
+    const entry =
+      row &&
+      row.rules &&
+      Array.isArray(row.hand) &&
+      !isNaN(Date.parse(row.time))
+        ? createHistoryEntry(row)
+        : null;
+    const key = entry && `${entry.time}|${getHistoryKey(entry)}`;
+    if (!entry || known.has(key)) {
+      skipped++;
+      return;
+    }
+    known.add(key);
+    historyEntries.push(entry);
+    added++;
+  });
+
+  historyEntries.sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+  historyEntries.length = Math.min(historyEntries.length, HISTORY_LIMIT);
+  saveHistory();
+  renderHistory();
+  document.getElementById("historyImportStatus").textContent =
+    t("history.imported", { count: added }) +
+    (skipped > 0 ? t("history.skipped", { count: skipped }) : "");
+}
+
+function handleHistoryImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.addEventListener("load", () => {
+    importHistoryText(reader.result, file.name);
+  });
+  reader.readAsText(file);
+  e.target.value = "";
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".history-panel");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("historyToggle"),
+    document.getElementById("historyContent"),
+    section,
+  );
+
+  loadHistory();
+
+  const playerInput = document.getElementById("historyPlayer");
+  try {
+    playerInput.value = localStorage.getItem(HISTORY_PLAYER_KEY) || "";
+  } catch (e) {
+    // No saved name
+  }
+  playerInput.addEventListener("change", () => {
+    try {
+      localStorage.setItem(HISTORY_PLAYER_KEY, getHistoryPlayer());
+    } catch (e) {
+      // Storage unavailable
+    }
+  });
+
+  document
+    .getElementById("historyCsvBtn")
+    .addEventListener("click", () => downloadHistory("csv"));
+  document
+    .getElementById("historyJsonBtn")
+    .addEventListener("click", () => downloadHistory("json"));
+  document
+    .getElementById("historyImportInput")
+    .addEventListener("change", handleHistoryImport);
+  document
+    .getElementById("historyClearBtn")
+    .addEventListener("click", clearHistory);
+
+  document
+    .getElementById("historySaveBtn")
+    .addEventListener("click", saveCurrentHand);
+  // Rendered on every change, as the best hand depends on the rules
+  document.addEventListener("scoreupdated", renderHistory);
+  document.addEventListener("languagechanged", renderHistory);
+  renderHistory();
+});
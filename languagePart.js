@@ -0,0 +1,82 @@
+// Language
+// Translate the page from the cribI18n.js catalogs and remember the choice
+
+const LANGUAGE_STORAGE_KEY = "cribbageLanguage";
+
+// data-i18n sets an element's text; these set one of its attributes
+const I18N_ATTRIBUTES = {
+  "data-i18n-placeholder": "placeholder",
+  "data-i18n-title": "title",
+  "data-i18n-aria-label": "aria-label",
+  "data-i18n-alt": "alt",
+};
+
+function loadLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (saved && LANGUAGES[saved]) return saved;
+  } catch (e) {
+    // No saved language
+  }
+  return matchLanguage(navigator.languages || [navigator.language]);
+}
+
+function saveLanguage(lang) {
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+  } catch (e) {
+    // Storage unavailable: the choice lasts until the page is closed
+  }
+}
+
+// Placeholders for a data-i18n message come from data-i18n-params (JSON)
+function getI18nParams(el) {
+  try {
+    return JSON.parse(el.dataset.i18nParams || "{}");
+  } catch (e) {
+    return {};
+  }
+}
+
+function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n, getI18nParams(el));
+  });
+  Object.entries(I18N_ATTRIBUTES).forEach(([dataAttribute, attribute]) => {
+    root.querySelectorAll(`[${dataAttribute}]`).forEach((el) => {
+      el.setAttribute(
+        attribute,
+        t(el.getAttribute(dataAttribute), getI18nParams(el)),
+      );
+    });
+  });
+  document.documentElement.lang = getLanguage();
+}
+
+// Switch language and let every panel re-render its text
+function changeLanguage(lang) {
+  if (!setLanguage(lang)) return;
+  saveLanguage(lang);
+  applyTranslations();
+  document.dispatchEvent(new CustomEvent("languagechanged"));
+}
+
+// Runs before the other parts' DOMContentLoaded handlers (it is loaded
+// first), so they render in the chosen language from the start
+document.addEventListener("DOMContentLoaded", () => {
+  setLanguage(loadLanguage());
+
+  const select = document.getElementById("languageSelect");
+  if (select) {
+    Object.entries(LANGUAGES).forEach(([lang, name]) => {
+      const option = document.createElement("option");
+      option.value = lang;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = getLanguage();
+    select.addEventListener("change", () => changeLanguage(select.value));
+  }
+
+  applyTranslations();
+});
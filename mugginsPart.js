@@ -0,0 +1,215 @@
+// Muggins
+// Claim a count before the score is revealed; the opponent takes what you miss
+
+const MUGGINS_STORAGE_KEY = "cribbageMuggins";
+const MUGGINS_SIDES = ["muggins.you", "muggins.opponent"];
+
+let mugginsTally = [0, 0]; // points taken by each side this session
+let mugginsHandKey = null; // hand the claim inputs belong to
+let mugginsClaimedKey = null; // hand whose claim has been checked
+let mugginsResult = null; // last checked claim, kept to re-render its text
+
+function loadMugginsTally() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(MUGGINS_STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length === MUGGINS_SIDES.length) {
+      mugginsTally = saved;
+    }
+  } catch (e) {
+    // Nothing taken yet this session
+  }
+}
+
+function saveMugginsTally() {
+  try {
+    sessionStorage.setItem(MUGGINS_STORAGE_KEY, JSON.stringify(mugginsTally));
+  } catch (e) {
+    // Storage unavailable: the tally lasts until the page is closed
+  }
+}
+
+function isMugginsEnabled() {
+  return document.getElementById("mugginsEnabled").checked;
+}
+
+// Index into MUGGINS_SIDES of whoever is counting the hand
+function getMugginsCounter() {
+  const checked = document.querySelector(
+    'input[name="mugginsCounter"]:checked',
+  );
+  return checked ? parseInt(checked.value, 10) : 0;
+}
+
+function getMugginsHandKey() {
+  return serializeHandState(selectedCards, getMode(), getRules());
+}
+
+function readMugginsClaim() {
+  const claim = {};
+  document.querySelectorAll("#mugginsClaim input").forEach((input) => {
+    claim[input.dataset.category] = parseInt(input.value, 10) || 0;
+  });
+  return claim;
+}
+
+function clearMugginsClaim() {
+  document.querySelectorAll("#mugginsClaim input").forEach((input) => {
+    input.value = "";
+  });
+  document.getElementById("mugginsResult").innerHTML = "";
+  mugginsClaimedKey = null;
+  mugginsResult = null;
+}
+
+function submitMugginsClaim() {
+  if (!currentScore) {
+    showError(t("muggins.selectAll", { count: getActiveHandSize() + 1 }));
+    return;
+  }
+
+  const claim = readMugginsClaim();
+  if (Object.values(claim).some((points) => points < 0)) {
+    showError(t("muggins.negative"));
+    return;
+  }
+
+  const result = compareClaim(currentScore, claim);
+  const counter = getMugginsCounter();
+  const taker = 1 - counter;
+  mugginsTally[taker] += result.missed;
+  saveMugginsTally();
+  mugginsClaimedKey = getMugginsHandKey();
+  mugginsResult = { result, counter };
+
+  renderMugginsResult(result, counter);
+  updateMuggins();
+}
+
+function renderMugginsResult(result, counter) {
+  const container = document.getElementById("mugginsResult");
+  container.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.className = "panel-note";
+  const params = {
+    claimed: result.claimed,
+    total: currentScore.total,
+    missed: result.missed,
+    over: result.overClaimed,
+  };
+  if (result.missed > 0) {
+    summary.textContent = t(
+      counter === 0 ? "muggins.opponentTakes" : "muggins.youTake",
+      params,
+    );
+  } else if (result.overClaimed > 0) {
+    summary.textContent = t("muggins.overClaimed", params);
+  } else {
+    summary.textContent = t("muggins.perfect", params);
+  }
+  container.appendChild(summary);
+
+  const items = describeScore(currentScore, getMode() === "crib");
+  result.categories.forEach(
+    ({ category, claimed, actual, missed, overClaimed }) => {
+      const label = t(`categoryText.${category}`);
+      if (missed > 0) {
+        const item = items.find((i) => i.category === category);
+        container.appendChild(
+          createBreakdownItem(
+            t("muggins.missed", { category: label, count: missed }),
+            t("muggins.missedDetails", {
+              claimed,
+              actual,
+              details: item.details,
+            }),
+            item.claims,
+          ),
+        );
+      } else if (overClaimed > 0) {
+        container.appendChild(
+          createBreakdownItem(
+            t("muggins.overClaimedItem", {
+              category: label,
+              count: overClaimed,
+            }),
+            t("muggins.overClaimedDetails", { claimed, actual }),
+          ),
+        );
+      }
+    },
+  );
+}
+
+function resetMugginsTally() {
+  mugginsTally = [0, 0];
+  saveMugginsTally();
+  updateMuggins();
+}
+
+function updateMuggins() {
+  // A new hand (or mode) starts a fresh claim
+  const key = getMugginsHandKey();
+  if (key !== mugginsHandKey) {
+    mugginsHandKey = key;
+    clearMugginsClaim();
+  }
+
+  const enabled = isMugginsEnabled();
+  const claimed = mugginsClaimedKey === key;
+  const concealed = enabled && currentScore !== null && !claimed;
+  if (document.body.classList.contains("muggins-concealed") !== concealed) {
+    document.body.classList.toggle("muggins-concealed", concealed);
+    // Let panels that draw the count themselves show or hide it
+    document.dispatchEvent(
+      new CustomEvent("mugginschanged", { detail: { concealed } }),
+    );
+  }
+
+  document.getElementById("mugginsClaimBtn").disabled =
+    !enabled || !currentScore || claimed;
+  document.querySelectorAll("#mugginsClaim input").forEach((input) => {
+    input.disabled = !enabled || claimed;
+  });
+
+  document.getElementById("mugginsTally").textContent = MUGGINS_SIDES.map(
+    (side, index) => `${t(side)}: ${mugginsTally[index]}`,
+  ).join(" · ");
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".muggins-panel");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("mugginsToggle"),
+    document.getElementById("mugginsContent"),
+    section,
+  );
+
+  loadMugginsTally();
+
+  document
+    .getElementById("mugginsEnabled")
+    .addEventListener("change", updateMuggins);
+  document
+    .getElementById("mugginsClaimBtn")
+    .addEventListener("click", submitMugginsClaim);
+  document
+    .getElementById("mugginsResetBtn")
+    .addEventListener("click", resetMugginsTally);
+  document.querySelectorAll("#mugginsClaim input").forEach((input) => {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") submitMugginsClaim();
+    });
+  });
+
+  document.addEventListener("scoreupdated", updateMuggins);
+  document.addEventListener("languagechanged", () => {
+    if (mugginsResult) {
+      renderMugginsResult(mugginsResult.result, mugginsResult.counter);
+    }
+    updateMuggins();
+  });
+  updateMuggins();
+});
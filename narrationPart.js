@@ -0,0 +1,114 @@
+// Count Narration
+// Show the count the way it's said at the table, and read it aloud on request
+
+const NARRATION_RATE_KEY = "cribbageNarrationRate";
+
+let narrationText = "";
+let narrationSpeaking = false;
+let narrationUtterance = null;
+
+function canSpeak() {
+  return (
+    "speechSynthesis" in window &&
+    typeof SpeechSynthesisUtterance === "function"
+  );
+}
+
+function getNarrationRate() {
+  return parseFloat(document.getElementById("narrationRate").value) || 1;
+}
+
+function loadNarrationRate() {
+  try {
+    const saved = parseFloat(localStorage.getItem(NARRATION_RATE_KEY));
+    if (saved) document.getElementById("narrationRate").value = saved;
+  } catch (e) {
+    // Normal speed
+  }
+}
+
+function saveNarrationRate() {
+  try {
+    localStorage.setItem(NARRATION_RATE_KEY, String(getNarrationRate()));
+  } catch (e) {
+    // Storage unavailable: the speed lasts until the page is closed
+  }
+}
+
+function updateNarrationControls() {
+  const readBtn = document.getElementById("narrationReadBtn");
+  readBtn.textContent = t(
+    narrationSpeaking ? "narration.stop" : "narration.read",
+  );
+  readBtn.disabled = !narrationText;
+  document.getElementById("narrationRateValue").textContent =
+    `${formatNumber(getNarrationRate(), 1)}×`;
+}
+
+function stopNarration() {
+  if (narrationSpeaking) {
+    narrationSpeaking = false;
+    speechSynthesis.cancel();
+  }
+  updateNarrationControls();
+}
+
+function readNarrationAloud() {
+  if (narrationSpeaking) {
+    stopNarration();
+    return;
+  }
+  if (!narrationText) return;
+
+  const utterance = new SpeechSynthesisUtterance(narrationText);
+  utterance.lang = getLanguage();
+  utterance.rate = getNarrationRate();
+  const finish = () => {
+    // A cancelled utterance may end after the next one has started
+    if (narrationUtterance !== utterance) return;
+    narrationSpeaking = false;
+    updateNarrationControls();
+  };
+  utterance.addEventListener("end", finish);
+  utterance.addEventListener("error", finish);
+
+  narrationUtterance = utterance;
+  narrationSpeaking = true;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+  updateNarrationControls();
+}
+
+function updateNarration() {
+  const text = currentScore ? narrateScore(currentScore) : "";
+  if (text !== narrationText) stopNarration();
+  narrationText = text;
+
+  document.getElementById("scoreNarration").textContent = text;
+  document
+    .getElementById("scoreNarrationBox")
+    .classList.toggle("panel-hidden", !text);
+  updateNarrationControls();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (!document.getElementById("scoreNarrationBox")) return;
+
+  if (canSpeak()) {
+    loadNarrationRate();
+    document
+      .getElementById("narrationControls")
+      .classList.remove("panel-hidden");
+    document
+      .getElementById("narrationReadBtn")
+      .addEventListener("click", readNarrationAloud);
+    document.getElementById("narrationRate").addEventListener("input", () => {
+      saveNarrationRate();
+      updateNarrationControls();
+    });
+  }
+
+  document.addEventListener("scoreupdated", updateNarration);
+  document.addEventListener("languagechanged", updateNarration);
+  updateNarration();
+});
@@ -0,0 +1,37 @@
+// Offline
+// Register the service worker and offer a reload when a new version is cached
+
+function showUpdateBanner() {
+  document.getElementById("updateBanner").classList.remove("panel-hidden");
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  // Only a worker replacing an earlier one means the page is out of date
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (hadController) showUpdateBanner();
+  });
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data && e.data.type === "updateavailable") showUpdateBanner();
+  });
+
+  navigator.serviceWorker.register("serviceWorker.js").catch(() => {
+    // Not served over http(s): the page still works, just not offline
+  });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const banner = document.getElementById("updateBanner");
+  if (!banner) return;
+
+  document
+    .getElementById("updateReloadBtn")
+    .addEventListener("click", () => window.location.reload());
+  document
+    .getElementById("updateDismissBtn")
+    .addEventListener("click", () => banner.classList.add("panel-hidden"));
+
+  registerServiceWorker();
+});
@@ -0,0 +1,174 @@
+// Pegging (The Play)
+// Score a sequence of cards laid down alternately by pone and dealer
+
+const PEGGING_PLAYERS = ["pegging.pone", "pegging.dealer"];
+const PEGGING_CARDS_PER_PLAYER = 4;
+
+let peggingEvents = []; // { type: "card", card }, { type: "go" } or { type: "pass" }
+
+function getPeggingCards() {
+  return peggingEvents.filter((e) => e.type === "card").map((e) => e.card);
+}
+
+function isPeggingComplete() {
+  return (
+    getPeggingCards().length ===
+    PEGGING_CARDS_PER_PLAYER * PEGGING_PLAYERS.length
+  );
+}
+
+function handlePeggingCardClick(card) {
+  const used = new Set(getPeggingCards().map(formatCard));
+  if (used.has(formatCard(card)) || isPeggingComplete()) {
+    return;
+  }
+
+  const result = scorePegging(peggingEvents);
+  if (result.count + getCardValue(card) > 31) {
+    showError(
+      t("pegging.past31", {
+        card: formatCardLabel(card),
+        player: t(PEGGING_PLAYERS[result.nextPlayer]),
+      }),
+    );
+    return;
+  }
+
+  peggingEvents.push({ type: "card", card });
+  updatePegging();
+}
+
+function handlePeggingGo() {
+  const next = [...peggingEvents, { type: "go" }];
+  if (!scorePegging(next)) {
+    showError(t("pegging.nothingPlayed"));
+    return;
+  }
+  peggingEvents = next;
+  updatePegging();
+}
+
+// The player to lead a new count has no cards left, so the other one leads
+function handlePeggingPass() {
+  const next = [...peggingEvents, { type: "pass" }];
+  if (!scorePegging(next)) {
+    showError(t("pegging.cannotPass"));
+    return;
+  }
+  peggingEvents = next;
+  updatePegging();
+}
+
+function undoPeggingEvent() {
+  peggingEvents.pop();
+  updatePegging();
+}
+
+function clearPegging() {
+  peggingEvents = [];
+  updatePegging();
+}
+
+function describeReasons(reasons) {
+  return reasons.map((r) => `${r.label} (${r.points})`).join(", ");
+}
+
+// Label and details of one play for the breakdown, with getName(player)
+// naming pone (0) and dealer (1)
+function describePeggingPlay(play, getName) {
+  const name = getName(play.player);
+  if (play.type === "card") {
+    return {
+      label: t("pegging.cardPlay", {
+        player: name,
+        card: formatCardLabel(play.card),
+        count: play.count,
+      }),
+      details:
+        play.points > 0
+          ? t("pegging.points", {
+              reasons: describeReasons(play.reasons),
+              count: play.points,
+            })
+          : t("pegging.noPoints"),
+    };
+  }
+  if (play.type === "pass") {
+    return {
+      label: t("pegging.passPlay", { player: name }),
+      details: t("pegging.turnPasses"),
+    };
+  }
+  return {
+    label: t("pegging.goPlay", { player: name, count: play.count }),
+    details: play.awarded
+      ? t("pegging.pegs", {
+          player: getName(play.awarded.player),
+          reasons: describeReasons(play.awarded.reasons),
+        })
+      : t("pegging.turnPasses"),
+  };
+}
+
+function updatePegging() {
+  const result = scorePegging(peggingEvents, isPeggingComplete());
+
+  markUsedCards(
+    document.getElementById("peggingDeckGrid"),
+    new Set(getPeggingCards().map(formatCard)),
+  );
+
+  document.getElementById("peggingCount").textContent = result.count;
+  document.getElementById("peggingPoneScore").textContent = result.scores[0];
+  document.getElementById("peggingDealerScore").textContent = result.scores[1];
+  document.getElementById("peggingTurn").textContent = isPeggingComplete()
+    ? t("pegging.complete")
+    : t("pegging.toPlay", { player: t(PEGGING_PLAYERS[result.nextPlayer]) });
+  document.getElementById("peggingGoBtn").disabled = isPeggingComplete();
+  document.getElementById("peggingPassBtn").disabled =
+    isPeggingComplete() || result.count > 0;
+  document.getElementById("peggingUndoBtn").disabled =
+    peggingEvents.length === 0;
+
+  const breakdown = document.getElementById("peggingBreakdown");
+  breakdown.innerHTML = "";
+
+  result.plays.forEach((play) => {
+    const { label, details } = describePeggingPlay(play, (player) =>
+      t(PEGGING_PLAYERS[player]),
+    );
+    breakdown.appendChild(createBreakdownItem(label, details));
+  });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".pegging-panel");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("peggingToggle"),
+    document.getElementById("peggingContent"),
+    section,
+  );
+
+  buildDeckGrid(
+    document.getElementById("peggingDeckGrid"),
+    handlePeggingCardClick,
+  );
+
+  document
+    .getElementById("peggingGoBtn")
+    .addEventListener("click", handlePeggingGo);
+  document
+    .getElementById("peggingPassBtn")
+    .addEventListener("click", handlePeggingPass);
+  document
+    .getElementById("peggingUndoBtn")
+    .addEventListener("click", undoPeggingEvent);
+  document
+    .getElementById("peggingClearBtn")
+    .addEventListener("click", clearPegging);
+  document.addEventListener("languagechanged", updatePegging);
+
+  updatePegging();
+});
@@ -0,0 +1,277 @@
+// Pegging Practice
+// Play the pegging against the computer, then review the plays that pegged
+// less than the best card in hand
+
+const PEGGING_PRACTICE_DELAY = 600; // ms the computer waits before laying
+
+let peggingPractice = null; // { hands: [pone, dealer], cut, you, strategy, events }
+let peggingPracticeTimer = null;
+
+function getPracticeOpponent() {
+  return 1 - peggingPractice.you;
+}
+
+function getPracticePlayerName(player) {
+  return t(
+    player === peggingPractice.you
+      ? "peggingPractice.you"
+      : "peggingPractice.computer",
+  );
+}
+
+// Cards the player still holds
+function getPracticeHeld(player) {
+  const laid = new Set(
+    peggingPractice.events
+      .filter((e) => e.type === "card")
+      .map((e) => formatCard(e.card)),
+  );
+  return peggingPractice.hands[player].filter(
+    (card) => !laid.has(formatCard(card)),
+  );
+}
+
+function isPracticePeggingComplete() {
+  return (
+    peggingPractice.events.filter((e) => e.type === "card").length ===
+    PEGGING_CARDS_PER_PLAYER * PEGGING_PLAYERS.length
+  );
+}
+
+function dealPeggingPractice() {
+  clearTimeout(peggingPracticeTimer);
+  const deck = shuffleDeck(createRng(Math.floor(Math.random() * 2 ** 32)));
+  const size = PEGGING_CARDS_PER_PLAYER;
+  const role = document.querySelector(
+    'input[name="peggingPracticeRole"]:checked',
+  ).value;
+  peggingPractice = {
+    hands: [deck.slice(0, size), deck.slice(size, size * 2)],
+    cut: deck[size * 2],
+    you: role === "pone" ? 0 : 1,
+    strategy: document.getElementById("peggingPracticeStrategy").value,
+    events: [],
+  };
+  advancePeggingPractice();
+}
+
+// Say go, or hand the lead over when the count starts afresh
+function getPracticeGoEvent() {
+  return {
+    type: scorePegging(peggingPractice.events).count === 0 ? "pass" : "go",
+  };
+}
+
+// Play on until it's the player's move: their go is automatic once they're
+// out of cards, and the computer lays after a short pause
+function advancePeggingPractice() {
+  clearTimeout(peggingPracticeTimer);
+  if (isPracticePeggingComplete()) {
+    renderPeggingPractice();
+    return;
+  }
+
+  const { nextPlayer } = scorePegging(peggingPractice.events);
+  if (
+    nextPlayer === peggingPractice.you &&
+    getPracticeHeld(nextPlayer).length === 0
+  ) {
+    peggingPractice.events.push(getPracticeGoEvent());
+    advancePeggingPractice();
+    return;
+  }
+
+  if (nextPlayer !== peggingPractice.you) {
+    peggingPracticeTimer = setTimeout(
+      playComputerPegging,
+      PEGGING_PRACTICE_DELAY,
+    );
+  }
+  renderPeggingPractice();
+}
+
+function playComputerPegging() {
+  const { events, strategy, cut } = peggingPractice;
+  const card = choosePeggingPlay(
+    events,
+    getPracticeHeld(getPracticeOpponent()),
+    strategy,
+    { seen: [cut] },
+  );
+  events.push(card ? { type: "card", card } : getPracticeGoEvent());
+  advancePeggingPractice();
+}
+
+function isPracticeYourTurn() {
+  return (
+    peggingPractice !== null &&
+    !isPracticePeggingComplete() &&
+    scorePegging(peggingPractice.events).nextPlayer === peggingPractice.you
+  );
+}
+
+function layPracticeCard(card) {
+  if (!isPracticeYourTurn()) return;
+  peggingPractice.events.push({ type: "card", card });
+  advancePeggingPractice();
+}
+
+function sayPracticeGo() {
+  if (!isPracticeYourTurn()) return;
+  peggingPractice.events.push({ type: "go" });
+  advancePeggingPractice();
+}
+
+function createPracticeCardButton(card, disabled) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `card-display pegging-practice-card ${
+    card.suit === "♥" || card.suit === "♦" ? "red" : "black"
+  }`;
+  button.dataset.card = formatCard(card);
+  button.textContent = formatCardLabel(card);
+  button.setAttribute("aria-label", getCardName(card));
+  button.disabled = disabled;
+  button.addEventListener("click", () => layPracticeCard(card));
+  return button;
+}
+
+function renderPeggingPracticeHand(isYourTurn) {
+  const handEl = document.getElementById("peggingPracticeHand");
+  handEl.innerHTML = "";
+  if (!peggingPractice) return;
+
+  const held = getPracticeHeld(peggingPractice.you);
+  const playable = new Set(
+    getPlayableCards(peggingPractice.events, held).map(formatCard),
+  );
+  held.forEach((card) => {
+    handEl.appendChild(
+      createPracticeCardButton(
+        card,
+        !isYourTurn || !playable.has(formatCard(card)),
+      ),
+    );
+  });
+
+  const cut = document.createElement("span");
+  cut.className = "card-display practice-cut";
+  cut.textContent = formatCardLabel(peggingPractice.cut);
+  cut.title = t("slot.cut");
+  cut.setAttribute(
+    "aria-label",
+    `${t("slot.cut")}: ${getCardName(peggingPractice.cut)}`,
+  );
+  handEl.appendChild(cut);
+}
+
+function renderPeggingPracticeLog(plays, misses) {
+  const log = document.getElementById("peggingPracticeLog");
+  log.innerHTML = "";
+  const missed = new Set(misses.map((miss) => miss.index));
+
+  plays.forEach((play, index) => {
+    const { label, details } = describePeggingPlay(play, getPracticePlayerName);
+    const item = createBreakdownItem(label, details);
+    item.classList.toggle("pegging-miss", missed.has(index));
+    log.appendChild(item);
+  });
+}
+
+function renderPeggingPracticeReview(misses) {
+  const review = document.getElementById("peggingPracticeReview");
+  review.innerHTML = "";
+  if (!misses) return;
+
+  const heading = document.createElement("h3");
+  heading.textContent = t("peggingPractice.review");
+  review.appendChild(heading);
+
+  if (misses.length === 0) {
+    const perfect = document.createElement("p");
+    perfect.className = "panel-note";
+    perfect.textContent = t("peggingPractice.perfect");
+    review.appendChild(perfect);
+    return;
+  }
+  misses.forEach(({ card, count, points, best }) => {
+    const item = document.createElement("p");
+    item.className = "panel-note pegging-miss";
+    item.textContent = t("peggingPractice.miss", {
+      card: formatCardLabel(card),
+      count,
+      points,
+      best: formatCardLabel(best.card),
+      bestPoints: best.points,
+    });
+    review.appendChild(item);
+  });
+}
+
+function renderPeggingPractice() {
+  const goBtn = document.getElementById("peggingPracticeGoBtn");
+  const turn = document.getElementById("peggingPracticeTurn");
+  const computerCards = document.getElementById("peggingPracticeComputerCards");
+
+  if (!peggingPractice) {
+    turn.textContent = t("peggingPractice.start");
+    computerCards.textContent = "";
+    goBtn.disabled = true;
+    renderPeggingPracticeHand(false);
+    return;
+  }
+
+  const isComplete = isPracticePeggingComplete();
+  const { you, events, hands } = peggingPractice;
+  const result = scorePegging(events, isComplete);
+  const isYourTurn = isPracticeYourTurn();
+  const mustGo =
+    isYourTurn && getPlayableCards(events, getPracticeHeld(you)).length === 0;
+
+  document.getElementById("peggingPracticeCount").textContent = result.count;
+  document.getElementById("peggingPracticeYouScore").textContent =
+    result.scores[you];
+  document.getElementById("peggingPracticeComputerScore").textContent =
+    result.scores[getPracticeOpponent()];
+
+  if (isComplete) {
+    turn.textContent = t("pegging.complete");
+  } else if (isYourTurn) {
+    turn.textContent = t(
+      mustGo ? "peggingPractice.mustGo" : "peggingPractice.yourTurn",
+    );
+  } else {
+    turn.textContent = t("peggingPractice.thinking");
+  }
+  computerCards.textContent = t("peggingPractice.computerCards", {
+    count: getPracticeHeld(getPracticeOpponent()).length,
+  });
+  goBtn.disabled = !mustGo;
+
+  // Misses are only shown once the play is over
+  const misses = isComplete ? reviewPeggingPlays(events, you, hands[you]) : [];
+  renderPeggingPracticeHand(isYourTurn);
+  renderPeggingPracticeLog(result.plays, misses);
+  renderPeggingPracticeReview(isComplete ? misses : null);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".pegging-practice");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("peggingPracticeToggle"),
+    document.getElementById("peggingPracticeContent"),
+    section,
+  );
+
+  document
+    .getElementById("peggingPracticeDealBtn")
+    .addEventListener("click", dealPeggingPractice);
+  document
+    .getElementById("peggingPracticeGoBtn")
+    .addEventListener("click", sayPracticeGo);
+  document.addEventListener("languagechanged", renderPeggingPractice);
+
+  renderPeggingPractice();
+});
@@ -0,0 +1,268 @@
+// Counting Practice
+// Deal random hands, time the count and keep score across visits
+
+const PRACTICE_STORAGE_KEY = "cribbagePractice";
+
+let practiceStats = createPracticeStats();
+let practiceRound = null; // { seed, hardOnly, cards, score, startedAt, answered, claim, elapsed }
+
+function createPracticeStats() {
+  return { answered: 0, correct: 0, totalMs: 0, streak: 0, bestStreak: 0 };
+}
+
+function loadPracticeStats() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY));
+    if (saved && typeof saved.answered === "number") {
+      practiceStats = { ...createPracticeStats(), ...saved };
+    }
+  } catch (e) {
+    // No stats yet
+  }
+}
+
+function savePracticeStats() {
+  try {
+    localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(practiceStats));
+  } catch (e) {
+    // Storage unavailable: stats last until the page is closed
+  }
+}
+
+function randomPracticeSeed() {
+  return Math.floor(Math.random() * 1000000) + 1;
+}
+
+// The round code carries the hard-hands setting ("1234h"), so a replay
+// deals the same cards whatever the checkbox says now
+function getPracticeRoundCode(round) {
+  return `${round.seed}${round.hardOnly ? "h" : ""}`;
+}
+
+function parsePracticeRoundCode(text) {
+  const match = /^(\d+)(h?)$/i.exec(text.trim());
+  if (!match || Number(match[1]) < 1) return null;
+  return { seed: Number(match[1]), hardOnly: match[2] !== "" };
+}
+
+function dealPractice(
+  seed = randomPracticeSeed(),
+  hardOnly = document.getElementById("practiceHardOnly").checked,
+) {
+  practiceRound = {
+    ...dealPracticeRound(seed, hardOnly),
+    seed,
+    hardOnly,
+    startedAt: Date.now(),
+    answered: false,
+  };
+
+  const inputs = document.querySelectorAll("#practiceClaim input");
+  inputs.forEach((input) => {
+    input.value = "";
+  });
+  document.getElementById("practiceResult").innerHTML = "";
+  renderPractice();
+  inputs[0].focus();
+}
+
+function replayPractice() {
+  const round = parsePracticeRoundCode(
+    document.getElementById("practiceSeed").value,
+  );
+  if (!round) {
+    showError(t("practice.enterRound"));
+    return;
+  }
+  dealPractice(round.seed, round.hardOnly);
+}
+
+function checkPracticeAnswer() {
+  if (!practiceRound || practiceRound.answered) return;
+
+  // Blank categories count as 0, so a zero hand is checked as it is
+  const claim = {};
+  document.querySelectorAll("#practiceClaim input").forEach((input) => {
+    claim[input.dataset.category] = parseInt(input.value, 10) || 0;
+  });
+  if (Object.values(claim).some((points) => points < 0)) {
+    showError(t("practice.enterCounts"));
+    return;
+  }
+
+  const elapsed = Date.now() - practiceRound.startedAt;
+  const result = compareClaim(practiceRound.score, claim);
+  const isCorrect = result.missed === 0 && result.overClaimed === 0;
+  practiceRound.answered = true;
+  practiceRound.claim = claim;
+  practiceRound.elapsed = elapsed;
+
+  practiceStats.answered++;
+  practiceStats.totalMs += elapsed;
+  if (isCorrect) {
+    practiceStats.correct++;
+    practiceStats.streak++;
+    practiceStats.bestStreak = Math.max(
+      practiceStats.bestStreak,
+      practiceStats.streak,
+    );
+  } else {
+    practiceStats.streak = 0;
+  }
+  savePracticeStats();
+
+  renderPracticeResult(claim, elapsed);
+  renderPractice();
+}
+
+function renderPracticeResult(claim, elapsed) {
+  const { score } = practiceRound;
+  const result = compareClaim(score, claim);
+  const guess = result.claimed;
+  const container = document.getElementById("practiceResult");
+  container.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.className = "panel-note";
+  const seconds = formatNumber(elapsed / 1000, 1);
+  if (result.missed === 0 && result.overClaimed === 0) {
+    summary.textContent = t("practice.correct", {
+      total: score.total,
+      seconds,
+    });
+  } else if (guess === score.total) {
+    summary.textContent = t("practice.wrongSplit", {
+      total: score.total,
+      seconds,
+    });
+  } else {
+    const diff = guess - score.total;
+    summary.textContent = t("practice.wrong", {
+      guess,
+      total: score.total,
+      diff:
+        diff > 0
+          ? t("practice.tooMany", { count: diff })
+          : t("practice.short", { count: -diff }),
+      seconds,
+    });
+  }
+  container.appendChild(summary);
+
+  // The categories miscounted first, then the whole breakdown
+  const items = describeScore(score);
+  result.categories
+    .filter(({ claimed, actual }) => claimed !== actual)
+    .forEach(({ category, claimed, actual }) => {
+      const scored = items.find((i) => i.category === category);
+      const item = createBreakdownItem(
+        t("practice.categoryWrong", {
+          category: t(`category.${category}`),
+          claimed,
+          actual,
+        }),
+        scored ? scored.details : "",
+      );
+      item.classList.add("practice-wrong");
+      container.appendChild(item);
+    });
+
+  items.forEach(({ label, details, claims }) => {
+    container.appendChild(
+      createBreakdownItem(label, details, claims, "#practiceCards [data-card]"),
+    );
+  });
+}
+
+function renderPractice() {
+  const cardsEl = document.getElementById("practiceCards");
+  cardsEl.innerHTML = "";
+  const checkBtn = document.getElementById("practiceCheckBtn");
+
+  if (practiceRound) {
+    practiceRound.cards.forEach((card, index) => {
+      const cardEl = document.createElement("span");
+      cardEl.className =
+        index === 4 ? "card-display practice-cut" : "card-display";
+      cardEl.dataset.card = formatCard(card);
+      cardEl.textContent = formatCardLabel(card);
+      cardsEl.appendChild(cardEl);
+    });
+    const code = getPracticeRoundCode(practiceRound);
+    document.getElementById("practiceSeed").value = code;
+    document.getElementById("practiceRoundLabel").textContent = t(
+      practiceRound.hardOnly
+        ? "practice.roundLabelHard"
+        : "practice.roundLabel",
+      { seed: code },
+    );
+  }
+  checkBtn.disabled = !practiceRound || practiceRound.answered;
+  document.querySelectorAll("#practiceClaim input").forEach((input) => {
+    input.disabled = !practiceRound || practiceRound.answered;
+  });
+
+  const { answered, correct, totalMs, streak, bestStreak } = practiceStats;
+  document.getElementById("practiceStats").textContent =
+    answered === 0
+      ? t("practice.noHands")
+      : t("practice.stats", {
+          correct,
+          answered,
+          percent: Math.round((correct / answered) * 100),
+          seconds: formatNumber(totalMs / answered / 1000, 1),
+          streak,
+          best: bestStreak,
+        });
+}
+
+function resetPracticeStats() {
+  practiceStats = createPracticeStats();
+  savePracticeStats();
+  renderPractice();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".practice-panel");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("practiceToggle"),
+    document.getElementById("practiceContent"),
+    section,
+  );
+
+  loadPracticeStats();
+
+  document
+    .getElementById("practiceDealBtn")
+    .addEventListener("click", () => dealPractice());
+  document
+    .getElementById("practiceReplayBtn")
+    .addEventListener("click", replayPractice);
+  document
+    .getElementById("practiceCheckBtn")
+    .addEventListener("click", checkPracticeAnswer);
+  document
+    .getElementById("practiceResetBtn")
+    .addEventListener("click", resetPracticeStats);
+  document.querySelectorAll("#practiceClaim input").forEach((input) => {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") checkPracticeAnswer();
+    });
+  });
+  document.getElementById("practiceSeed").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") replayPractice();
+  });
+
+  document.addEventListener("languagechanged", () => {
+    if (practiceRound && practiceRound.answered) {
+      // Rescore so the pair names are in the new language too
+      practiceRound.score = scoreHand(practiceRound.cards);
+      renderPracticeResult(practiceRound.claim, practiceRound.elapsed);
+    }
+    renderPractice();
+  });
+
+  renderPractice();
+});
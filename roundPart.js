@@ -0,0 +1,279 @@
+// Round Scorer
+// Pone's hand, the dealer's hand and the crib scored against one shared cut
+
+const ROUND_CUT_SLOT = ROUND_HANDS.length * CRIB_SIZE; // after the three hands
+const ROUND_CARD_SELECTOR = "#roundSlots [data-card]";
+
+let roundCards = new Array(ROUND_CUT_SLOT + 1).fill(null);
+let roundTargetSlot = null; // Slot picked for the next card (null: first empty)
+
+// Every hand in a round holds four cards, whatever the counter's ruleset
+function getRoundRules() {
+  return { ...getRules(), handSize: CRIB_SIZE };
+}
+
+function getRoundHand(index) {
+  return index < ROUND_CUT_SLOT
+    ? ROUND_HANDS[Math.floor(index / CRIB_SIZE)]
+    : null;
+}
+
+function getRoundHands() {
+  const hands = {};
+  ROUND_HANDS.forEach((hand, i) => {
+    hands[hand] = roundCards.slice(i * CRIB_SIZE, (i + 1) * CRIB_SIZE);
+  });
+  return hands;
+}
+
+function getRoundSlotName(index) {
+  const hand = getRoundHand(index);
+  if (!hand) return t("slot.cut");
+  return `${t(`round.${hand}`)}, ${t("slot.card", { number: (index % CRIB_SIZE) + 1 })}`;
+}
+
+// Same as the counter: the picked slot, else the first empty one, else the
+// cut (which gets replaced)
+function getRoundTarget() {
+  if (roundTargetSlot !== null) return roundTargetSlot;
+  const empty = roundCards.indexOf(null);
+  return empty === -1 ? ROUND_CUT_SLOT : empty;
+}
+
+function handleRoundCardClick(card) {
+  const used = new Set(roundCards.filter((c) => c).map(formatCard));
+  if (used.has(formatCard(card))) {
+    return;
+  }
+
+  roundCards[getRoundTarget()] = card;
+  roundTargetSlot = null;
+  updateRoundScorer();
+}
+
+function selectRoundTargetSlot(index) {
+  roundTargetSlot = roundTargetSlot === index ? null : index;
+  updateRoundSlots();
+}
+
+function removeRoundCard(index) {
+  roundCards[index] = null;
+  updateRoundScorer();
+}
+
+function clearRoundCards() {
+  roundCards = new Array(ROUND_CUT_SLOT + 1).fill(null);
+  roundTargetSlot = null;
+  updateRoundScorer();
+}
+
+// The counter's updateAvailableCards, across all thirteen cards of the round
+function updateRoundAvailableCards() {
+  markUsedCards(
+    document.getElementById("roundDeckGrid"),
+    new Set(roundCards.filter((c) => c).map(formatCard)),
+  );
+}
+
+function updateRoundSlots() {
+  const slots = document.querySelectorAll("#roundSlots .card-slot");
+  const target = getRoundTarget();
+
+  slots.forEach((slot, index) => {
+    const card = roundCards[index];
+    const slotName = getRoundSlotName(index);
+    slot.classList.remove("selected");
+    slot.classList.toggle("slot-target", index === target);
+    slot.innerHTML = "";
+    slot.tabIndex = 0;
+    const label = card
+      ? t("slot.filled", { slot: slotName, card: getCardName(card) })
+      : t("slot.empty", { slot: slotName });
+    slot.setAttribute(
+      "aria-label",
+      index === target ? t("slot.target", { label }) : label,
+    );
+
+    if (card) {
+      slot.classList.add("selected");
+      slot.dataset.card = formatCard(card);
+      const cardDisplay = document.createElement("div");
+      cardDisplay.className = "card-display";
+      cardDisplay.textContent = formatCardLabel(card);
+      cardDisplay.setAttribute("aria-hidden", "true");
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-card";
+      removeBtn.textContent = "×";
+      removeBtn.setAttribute(
+        "aria-label",
+        t("slot.remove", { card: getCardName(card) }),
+      );
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeRoundCard(index);
+        slot.focus();
+      });
+
+      slot.appendChild(cardDisplay);
+      slot.appendChild(removeBtn);
+    } else {
+      delete slot.dataset.card;
+      const placeholder = document.createElement("div");
+      placeholder.className = "slot-placeholder";
+      placeholder.textContent =
+        index === ROUND_CUT_SLOT
+          ? t("slot.cut")
+          : t("slot.card", { number: (index % CRIB_SIZE) + 1 });
+      placeholder.setAttribute("aria-hidden", "true");
+      slot.appendChild(placeholder);
+    }
+  });
+}
+
+function updateRoundScorer() {
+  updateRoundSlots();
+  updateRoundAvailableCards();
+  renderRoundResults(
+    scoreRound(getRoundHands(), roundCards[ROUND_CUT_SLOT], getRoundRules()),
+  );
+}
+
+function createRoundTotal(label, total, note) {
+  const stat = document.createElement("div");
+  stat.className = "round-total";
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "score-label";
+  labelEl.textContent = label;
+  stat.appendChild(labelEl);
+
+  const value = document.createElement("span");
+  value.className = "score-value";
+  value.textContent = total;
+  stat.appendChild(value);
+
+  if (note) {
+    const noteEl = document.createElement("span");
+    noteEl.className = "round-total-note";
+    noteEl.textContent = note;
+    stat.appendChild(noteEl);
+  }
+  return stat;
+}
+
+function createRoundResult(hand, score) {
+  const isCrib = hand === "crib";
+  const result = document.createElement("div");
+  result.className = "round-result";
+
+  const header = document.createElement("div");
+  header.className = "round-result-header";
+  const heading = document.createElement("h3");
+  heading.textContent = t("round.handTotal", {
+    hand: t(`round.${hand}`),
+    count: score.total,
+  });
+  header.appendChild(heading);
+
+  const loadBtn = document.createElement("button");
+  loadBtn.type = "button";
+  loadBtn.className = "btn-secondary";
+  loadBtn.textContent = t("round.load");
+  loadBtn.addEventListener("click", () => {
+    setMode(isCrib ? "crib" : "hand");
+    ensureFourCardHands();
+    setSelectedCards([...getRoundHands()[hand], roundCards[ROUND_CUT_SLOT]]);
+  });
+  header.appendChild(loadBtn);
+  result.appendChild(header);
+
+  const breakdown = document.createElement("div");
+  breakdown.className = "score-breakdown";
+  describeScore(score, isCrib).forEach(({ label, details, claims }) => {
+    breakdown.appendChild(
+      createBreakdownItem(label, details, claims, ROUND_CARD_SELECTOR),
+    );
+  });
+  result.appendChild(breakdown);
+  return result;
+}
+
+function renderRoundResults(round) {
+  const totals = document.getElementById("roundTotals");
+  const container = document.getElementById("roundResults");
+  totals.innerHTML = "";
+  container.innerHTML = "";
+
+  if (!round) {
+    const message = document.createElement("p");
+    message.className = "panel-note";
+    message.textContent = t("round.selectAll", {
+      count: roundCards.filter((c) => !c).length,
+    });
+    container.appendChild(message);
+    restorePinnedClaim();
+    return;
+  }
+
+  totals.appendChild(createRoundTotal(t("round.poneTotal"), round.totals.pone));
+  totals.appendChild(
+    createRoundTotal(
+      t("round.dealerTotal"),
+      round.totals.dealer,
+      t("round.dealerSplit", {
+        hand: round.dealer.total,
+        crib: round.crib.total,
+      }),
+    ),
+  );
+
+  ROUND_HANDS.forEach((hand) => {
+    container.appendChild(createRoundResult(hand, round[hand]));
+  });
+  // A tapped claim from the previous results is gone
+  restorePinnedClaim();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.querySelector(".round-scorer");
+  if (!section) return;
+
+  setupCollapsible(
+    document.getElementById("roundScorerToggle"),
+    document.getElementById("roundScorerContent"),
+    section,
+  );
+
+  buildDeckGrid(document.getElementById("roundDeckGrid"), handleRoundCardClick);
+
+  // Slots: click to target, Delete or Backspace to clear
+  document.querySelectorAll("#roundSlots .card-slot").forEach((slot) => {
+    const index = parseInt(slot.dataset.slot);
+    slot.addEventListener("click", () => selectRoundTargetSlot(index));
+    slot.addEventListener("keydown", (e) => {
+      if (e.target !== slot) return;
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        selectRoundTargetSlot(index);
+      } else if (
+        (e.key === "Delete" || e.key === "Backspace") &&
+        roundCards[index]
+      ) {
+        e.preventDefault();
+        removeRoundCard(index);
+        slot.focus();
+      }
+    });
+  });
+
+  document
+    .getElementById("roundClearBtn")
+    .addEventListener("click", clearRoundCards);
+  // House rules come from the counter's rules picker
+  document.addEventListener("scoreupdated", updateRoundScorer);
+  document.addEventListener("languagechanged", updateRoundScorer);
+
+  updateRoundScorer();
+});
@@ -0,0 +1,34 @@
+// Scoring Web Worker
+// Runs long enumerations off the main thread so the page stays responsive
+
+importScripts("cribI18n.js", "cribEngine.js");
+
+const WORKER_TASKS = {
+  distribution: ({ isCrib }, onProgress) =>
+    countScoreDistribution(isCrib, onProgress),
+  breakdowns: ({ isCrib }, onProgress) =>
+    collectScoreBreakdowns(isCrib, onProgress),
+  scoreHands: ({ hands, isCrib, rules, breakdown }, onProgress) =>
+    scoreHands(hands, isCrib, { rules, breakdown, onProgress }),
+};
+
+self.addEventListener("message", (e) => {
+  const { type, id } = e.data;
+  const task = WORKER_TASKS[type];
+  if (!task) {
+    self.postMessage({ type: "error", id, message: `Unknown task ${type}` });
+    return;
+  }
+
+  // A task that throws still answers, so the page's promise settles
+  let result;
+  try {
+    result = task(e.data, (done, total) => {
+      self.postMessage({ type: "progress", id, done, total });
+    });
+  } catch (error) {
+    self.postMessage({ type: "error", id, message: error.message });
+    return;
+  }
+  self.postMessage({ type: "result", id, result });
+});
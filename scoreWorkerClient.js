@@ -0,0 +1,115 @@
+// Score Worker Client
+// Promise wrapper around scoreWorker.js, with results cached across visits
+
+const WORKER_CACHE_PREFIX = "cribbageWorker.v1:";
+
+let scoreWorker = null;
+let nextWorkerRequestId = 1;
+const workerRequests = {}; // id -> { resolve, reject, onProgress }
+const workerResults = {}; // cache key -> result
+const pendingWorkerResults = {}; // cache key -> { promise, listeners }
+
+function getScoreWorker() {
+  if (!scoreWorker) {
+    // Throws when workers are unavailable (e.g. opened from file://)
+    scoreWorker = new Worker("scoreWorker.js");
+    scoreWorker.addEventListener("message", (e) => {
+      const request = workerRequests[e.data.id];
+      if (!request) return;
+      if (e.data.type === "progress") {
+        request.onProgress(e.data.done, e.data.total);
+        return;
+      }
+      delete workerRequests[e.data.id];
+      if (e.data.type === "result") {
+        request.resolve(e.data.result);
+      } else {
+        request.reject(new Error(e.data.message));
+      }
+    });
+  }
+  return scoreWorker;
+}
+
+// Run a task in the scoring worker; resolves with its result
+function runWorkerTask(type, payload = {}, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = getScoreWorker();
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    const id = nextWorkerRequestId++;
+    workerRequests[id] = { resolve, reject, onProgress };
+    worker.postMessage({ ...payload, type, id });
+  });
+}
+
+// Score a batch of hands (hand cards then cut) in the worker; resolves with
+// what scoreHands returns. Cards travel as encodeCard integers
+function scoreHandsInWorker(
+  list,
+  isCrib = false,
+  { rules, breakdown = false, onProgress } = {},
+) {
+  const hands = list.map((cards) =>
+    cards.map((card) => (typeof card === "number" ? card : encodeCard(card))),
+  );
+  return runWorkerTask(
+    "scoreHands",
+    { hands, isCrib, rules, breakdown },
+    onProgress,
+  );
+}
+
+// Result of a worker task if it has already been computed, else null
+function getCachedWorkerResult(key) {
+  if (workerResults[key]) return workerResults[key];
+  try {
+    const saved = localStorage.getItem(WORKER_CACHE_PREFIX + key);
+    if (saved) {
+      workerResults[key] = JSON.parse(saved);
+      return workerResults[key];
+    }
+  } catch (e) {
+    // Nothing cached yet
+  }
+  return null;
+}
+
+// Run a task once per cache key, sharing progress with every caller
+function getWorkerResult(key, type, payload, onProgress = () => {}) {
+  const cached = getCachedWorkerResult(key);
+  if (cached) {
+    return Promise.resolve(cached);
+  }
+
+  if (!pendingWorkerResults[key]) {
+    const listeners = new Set();
+    const promise = runWorkerTask(type, payload, (done, total) => {
+      listeners.forEach((listener) => listener(done, total));
+    })
+      .then((result) => {
+        workerResults[key] = result;
+        try {
+          localStorage.setItem(
+            WORKER_CACHE_PREFIX + key,
+            JSON.stringify(result),
+          );
+        } catch (e) {
+          // Storage unavailable: recompute next visit
+        }
+        return result;
+      })
+      .finally(() => {
+        delete pendingWorkerResults[key];
+      });
+    pendingWorkerResults[key] = { promise, listeners };
+  }
+
+  const pending = pendingWorkerResults[key];
+  pending.listeners.add(onProgress);
+  return pending.promise.finally(() => pending.listeners.delete(onProgress));
+}
@@ -0,0 +1,125 @@
+// Offline Service Worker
+// Precaches the page so it works without a connection, and tells the page
+// when a newer copy of a cached file turns up
+
+const OFFLINE_CACHE = "cribbage-offline-v1";
+
+const PRECACHE_URLS = [
+  "index.html",
+  "manifest.webmanifest",
+  "cribPart.css",
+  "cribI18n.js",
+  "cribEngine.js",
+  "scoreWorkerClient.js",
+  "scoreWorker.js",
+  "languagePart.js",
+  "cribPart.js",
+  "mugginsPart.js",
+  "narrationPart.js",
+  "exportPart.js",
+  "discardPart.js",
+  "roundPart.js",
+  "cutPart.js",
+  "peggingPart.js",
+  "peggingPracticePart.js",
+  "gamePart.js",
+  "distributionPart.js",
+  "practicePart.js",
+  "historyPart.js",
+  "offlinePart.js",
+  "images/bee.jpg",
+  "images/cribbageImage.png",
+  "images/mondorImage.png",
+  "images/icon-192.png",
+  "images/icon-512.png",
+];
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches
+      .open(OFFLINE_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== OFFLINE_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Same file? Compare validators when the server sends them, bytes otherwise
+async function isSameResponse(cached, fresh) {
+  for (const header of ["ETag", "Last-Modified"]) {
+    const a = cached.headers.get(header);
+    const b = fresh.headers.get(header);
+    if (a && b) return a === b;
+  }
+  const [a, b] = await Promise.all([
+    cached.clone().arrayBuffer(),
+    fresh.clone().arrayBuffer(),
+  ]);
+  if (a.byteLength !== b.byteLength) return false;
+  const bytesA = new Uint8Array(a);
+  const bytesB = new Uint8Array(b);
+  return bytesA.every((byte, i) => byte === bytesB[i]);
+}
+
+async function notifyUpdate() {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage({ type: "updateavailable" }));
+}
+
+// Refresh the cached copy from the network; resolves with the fresh response
+// (or undefined when offline)
+async function revalidate(request, cacheKey, cached) {
+  let fresh;
+  try {
+    fresh = await fetch(request, { cache: "no-cache" });
+  } catch (e) {
+    return undefined; // Offline: keep serving the cached copy
+  }
+  if (!fresh.ok) return fresh;
+
+  const cache = await caches.open(OFFLINE_CACHE);
+  if (cached && !(await isSameResponse(cached, fresh))) {
+    await cache.put(cacheKey, fresh.clone());
+    await notifyUpdate();
+  } else if (!cached) {
+    await cache.put(cacheKey, fresh.clone());
+  }
+  return fresh;
+}
+
+// Cache first so the page opens instantly (and offline), checking the
+// network in the background for changes
+self.addEventListener("fetch", (e) => {
+  const { request } = e;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Hands live in the query string; every one is the same page
+  const cacheKey = request.mode === "navigate" ? "index.html" : request;
+
+  e.respondWith(
+    caches.match(cacheKey, { ignoreSearch: true }).then((cached) => {
+      const update = revalidate(request, cacheKey, cached);
+      if (cached) {
+        e.waitUntil(update);
+        return cached;
+      }
+      return update.then((fresh) => fresh || Response.error());
+    }),
+  );
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DECK,
+  RULESETS,
+  encodeCard,
+  scoreHands,
+  scoreHand,
+  getHandSize,
+  createRng,
+  shuffleDeck,
+} = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+// Seeded random deals of the right size for the rules
+function deal(count, isCrib, rules, seed) {
+  const rng = createRng(seed);
+  const size = getHandSize(isCrib, rules) + 1;
+  return Array.from({ length: count }, () => shuffleDeck(rng).slice(0, size));
+}
+
+const RULE_VARIANTS = [
+  ...Object.values(RULESETS),
+  { ...RULESETS.standard, cribFourFlush: true, hisHeels: true },
+];
+
+test("encodeCard is the card's index in DECK", () => {
+  DECK.forEach((card, i) => assert.equal(encodeCard(card), i));
+});
+
+test("scoreHands totals match scoreHand under every ruleset", () => {
+  RULE_VARIANTS.forEach((rules, r) => {
+    [false, true].forEach((isCrib) => {
+      const hands = deal(3000, isCrib, rules, r * 2 + isCrib);
+      const totals = scoreHands(hands, isCrib, { rules });
+      hands.forEach((hand, i) => {
+        assert.equal(totals[i], scoreHand(hand, isCrib, rules).total);
+      });
+    });
+  });
+});
+
+test("the breakdown splits the total like scoreHand", () => {
+  const rules = RULE_VARIANTS[RULE_VARIANTS.length - 1];
+  const hands = [
+    ...deal(2000, true, rules, 7),
+    cards("5s 5h 5d jc | 5c"),
+    cards("3s 3h 4d 4c | 5s"),
+    cards("2h 4h 6h 8h | jh"),
+  ];
+  scoreHands(hands, true, { rules, breakdown: true }).forEach((result, i) => {
+    const score = scoreHand(hands[i], true, rules);
+    const run = score.runs.runs[0];
+    assert.deepEqual(result, {
+      total: score.total,
+      fifteens: score.fifteens.points,
+      pairs: score.pairs.points,
+      runs: score.runs.points,
+      runLength: run ? run.length : 0,
+      runMultiplier: run ? run.multiplier : 0,
+      flush: score.flush.points,
+      nobs: score.nobs.points,
+      heels: score.heels.points,
+    });
+  });
+});
+
+test("scoreHands takes integer cards and reports progress", () => {
+  const hands = deal(70000, false, RULESETS.standard, 3);
+  const progress = [];
+  const totals = scoreHands(
+    hands.map((hand) => hand.map(encodeCard)),
+    false,
+    { onProgress: (done, total) => progress.push([done, total]) },
+  );
+  assert.ok(totals instanceof Uint8Array);
+  assert.deepEqual(totals, scoreHands(hands));
+  assert.deepEqual(progress, [
+    [65536, 70000],
+    [70000, 70000],
+  ]);
+});
+
+test("scoreHands needs every hand at the rules' size", () => {
+  assert.equal(
+    scoreHands([cards("5s 5h 5d jc | 5c"), cards("5s 5h 5d jc")]),
+    null,
+  );
+  assert.equal(
+    scoreHands([cards("5s 5h 5d jc | 5c")], false, {
+      rules: RULESETS.fiveCard,
+    }),
+    null,
+  );
+  assert.deepEqual(scoreHands([]), new Uint8Array(0));
+});
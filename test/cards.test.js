@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DECK,
+  parseCard,
+  parseCardList,
+  formatCard,
+  getCardName,
+  toCardCode,
+} = require("../cribEngine.js");
+
+test("deck has 52 distinct cards", () => {
+  assert.equal(DECK.length, 52);
+  assert.equal(new Set(DECK.map(formatCard)).size, 52);
+});
+
+test("parseCard accepts unicode, ASCII suits, T/10 and any case", () => {
+  const tenOfHearts = { rank: "10", suit: "♥" };
+  ["10♥", "10H", "10h", "TH", "th", "t♥", "10♡", "10♥️"].forEach((text) => {
+    assert.deepEqual(parseCard(text), tenOfHearts, text);
+  });
+  assert.deepEqual(parseCard("as"), { rank: "A", suit: "♠" });
+  assert.deepEqual(parseCard("Jc"), { rank: "J", suit: "♣" });
+});
+
+test("parseCard rejects anything else", () => {
+  ["", "1s", "11h", "5x", "s5", "ace", null].forEach((text) => {
+    assert.equal(parseCard(text), null, String(text));
+  });
+});
+
+test("every card round-trips through its URL code", () => {
+  DECK.forEach((card) => {
+    assert.deepEqual(parseCard(toCardCode(card)), card);
+  });
+});
+
+test("parseCardList splits hand and cut on |", () => {
+  const { hand, cut, errors } = parseCardList("5s 5h 5d jc | 5c");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(hand.map(formatCard), ["5♠", "5♥", "5♦", "J♣"]);
+  assert.equal(formatCard(cut), "5♣");
+});
+
+test("parseCardList takes a fifth card as the cut", () => {
+  const { hand, cut } = parseCardList("5s,5h,5d,jc,5c");
+  assert.equal(hand.length, 4);
+  assert.equal(formatCard(cut), "5♣");
+});
+
+test("parseCardList reports bad tokens and duplicates", () => {
+  assert.deepEqual(parseCardList("5s zz | 5S").errors, [
+    '"zz" is not a card',
+    "5♠ is entered more than once",
+  ]);
+  assert.deepEqual(parseCardList("as 2s 3s 4s 5s | 6s").errors, [
+    "A hand has 4 cards, got 5",
+  ]);
+  assert.deepEqual(parseCardList("as | 2s 3s").errors, [
+    "Only one cut card, got 2",
+  ]);
+});
+
+test("cards have spoken names", () => {
+  assert.equal(getCardName(parseCard("5h")), "five of hearts");
+  assert.equal(getCardName(parseCard("as")), "ace of spades");
+  assert.equal(getCardName(parseCard("td")), "ten of diamonds");
+  assert.equal(getCardName(parseCard("jc")), "jack of clubs");
+  assert.equal(new Set(DECK.map(getCardName)).size, 52);
+});
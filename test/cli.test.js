@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { execFileSync } = require("node:child_process");
+
+const CLI = path.join(__dirname, "..", "bin", "cribbage-score.js");
+
+// Run the CLI with --json and return the total it scored
+function total(...args) {
+  const output = execFileSync(process.execPath, [CLI, "--json", ...args], {
+    encoding: "utf8",
+  });
+  return JSON.parse(output).total;
+}
+
+test("house rule flags count wherever --rules comes", () => {
+  const crib = ["--crib", "2h 4h 6h 8h | kd"];
+  assert.equal(total(...crib), 0);
+  assert.equal(total("--flush4", "--rules", "lowball", ...crib), 4);
+  assert.equal(total("--rules", "lowball", "--flush4", ...crib), 4);
+
+  const heels = ["--crib", "ah 3s 9d 8c | jd"];
+  assert.equal(total("--heels", "--rules", "standard", ...heels), 2);
+  assert.equal(total("--rules", "standard", "--heels", ...heels), 2);
+});
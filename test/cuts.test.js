@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatCard, analyzeCuts, RULESETS } = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+test("analyzeCuts scores all 48 cuts of a four-card hand", () => {
+  const result = analyzeCuts(cards("5s 5h 5d jc"));
+  assert.equal(result.cuts.length, 48);
+  assert.equal(result.max, 29);
+  assert.equal(result.min, 14);
+  assert.ok(result.avg > 14 && result.avg < 29);
+
+  const best = result.cuts.find(({ cut }) => formatCard(cut) === "5♣");
+  assert.equal(best.total, 29);
+});
+
+test("a seen card that is in the hand is only left out once", () => {
+  const result = analyzeCuts(cards("5s 5h 5d jc"), cards("5s 2s"));
+  assert.equal(result.cuts.length, 47);
+});
+
+test("seen cards are left out of the cut odds", () => {
+  const seen = cards("5c 2s");
+  const result = analyzeCuts(cards("5s 5h 5d jc"), seen);
+  assert.equal(result.cuts.length, 46);
+  assert.equal(result.max, 22);
+  assert.ok(
+    result.cuts.every(({ cut }) => !["5♣", "2♠"].includes(formatCard(cut))),
+  );
+});
+
+test("atLeast gives the chance of reaching each score", () => {
+  const result = analyzeCuts(cards("5s 5h 5d jc"));
+  assert.equal(result.atLeast.length, 30);
+  assert.equal(result.atLeast[0], 1);
+  assert.equal(result.atLeast[14], 1);
+  assert.equal(result.atLeast[29], 1 / 48);
+  for (let n = 1; n < result.atLeast.length; n++) {
+    assert.ok(result.atLeast[n] <= result.atLeast[n - 1]);
+  }
+});
+
+test("analyzeCuts follows the rules' hand size", () => {
+  assert.equal(analyzeCuts(cards("5s 5h 5d")), null);
+  const result = analyzeCuts(cards("5s 5h 5d"), [], false, RULESETS.fiveCard);
+  assert.equal(result.cuts.length, 49);
+});
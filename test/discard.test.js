@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RULESETS, formatCard, analyzeDiscards } = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+const dealt = (text) => cards(text, 6);
+
+test("analyzeDiscards ranks all 15 keeps", () => {
+  const results = analyzeDiscards(dealt("5s 5h 5d jc 2s 9h"), true);
+  assert.equal(results.length, 15);
+
+  const best = results.find(
+    (r) => r.keep.map(formatCard).join(" ") === "5♠ 5♥ 5♦ J♣",
+  );
+  assert.equal(best.max, 29);
+  assert.equal(best.min, 14);
+  assert.ok(best.avg > 14 && best.avg < 29);
+});
+
+test("crib value is added for the dealer and subtracted for pone", () => {
+  const dealer = analyzeDiscards(dealt("5s 5h 5d jc 2s 9h"), true);
+  const pone = analyzeDiscards(dealt("5s 5h 5d jc 2s 9h"), false);
+  dealer.forEach((result, i) => {
+    assert.equal(result.net, result.avg + result.crib);
+    assert.equal(pone[i].net, pone[i].avg - pone[i].crib);
+  });
+});
+
+test("the house rules change the crib value", () => {
+  // His heels adds 2 to every sampled crib cut with a jack
+  const hand = dealt("2h 4h 9s tc kd qs");
+  const throwHearts = (results) =>
+    results.find((r) => r.thrown.map(formatCard).join(" ") === "2♥ 4♥");
+  const standard = throwHearts(analyzeDiscards(hand, true));
+  const heels = throwHearts(
+    analyzeDiscards(hand, true, { ...RULESETS.standard, hisHeels: true }),
+  );
+  assert.ok(heels.crib > standard.crib);
+  assert.equal(heels.avg, standard.avg);
+});
+
+test("analyzeDiscards needs a four-card hand", () => {
+  assert.equal(
+    analyzeDiscards(dealt("5s 5h 5d jc 2s 9h"), true, RULESETS.fiveCard),
+    null,
+  );
+});
+
+test("analyzeDiscards needs six cards", () => {
+  assert.equal(analyzeDiscards(dealt("5s 5h 5d jc 2s")), null);
+});
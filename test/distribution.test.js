@@ -0,0 +1,105 @@
+// Exhaustive checks: every 4-card hand with every cut (12,994,800 hands)
+// The scoreHand ones take a few minutes; set SKIP_EXHAUSTIVE=1 to skip them
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  countScoreDistribution,
+  forEachHandAndCut,
+  getScorePercentile,
+  getBreakdownParts,
+  labelBreakdown,
+  collectScoreBreakdowns,
+  IMPOSSIBLE_SCORES,
+  parseCard,
+  scoreHand,
+} = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+// Published number of hands (not cribs) scoring each total 0-29
+const HAND_DISTRIBUTION = [
+  1009008, 99792, 2813796, 505008, 2855676, 697508, 1800268, 751324, 1137236,
+  361224, 388740, 51680, 317340, 19656, 90100, 9168, 58248, 11196, 2708, 0,
+  8068, 2496, 444, 356, 3680, 0, 0, 0, 76, 4,
+];
+
+test("percentile counts the combinations scoring strictly less", () => {
+  assert.equal(getScorePercentile(HAND_DISTRIBUTION, 0), 0);
+  assert.equal(getScorePercentile(HAND_DISTRIBUTION, 30), 100);
+  assert.equal(
+    getScorePercentile(HAND_DISTRIBUTION, 29).toFixed(5),
+    ((12994800 - 4) / 129948).toFixed(5),
+  );
+});
+
+test("breakdown labels name each scoring category", () => {
+  const label = (text, isCrib) =>
+    labelBreakdown(getBreakdownParts(scoreHand(cards(text), isCrib)), isCrib);
+
+  assert.equal(
+    label("5s 5h 5d jc | 5c"),
+    "8 15s (16) + Four of a kind (12) + Nobs (1)",
+  );
+  assert.equal(
+    label("3s 3h 4d 4c | 5s"),
+    "2 15s (4) + Two pairs (4) + Double-double run of 3 (12)",
+  );
+  assert.equal(label("2h 4h 6h 8h | ks"), "Hand flush (4)");
+  assert.equal(label("2h 4h 6h 8h | kh", true), "Crib flush (5)");
+  assert.equal(label("2s 4h 6d 8c | ks"), "");
+});
+
+test("countScoreDistribution reproduces the published hand distribution", () => {
+  let lastProgress = null;
+  const counts = countScoreDistribution(false, (done, total) => {
+    lastProgress = [done, total];
+  });
+
+  assert.deepEqual(lastProgress, [12994800, 12994800]);
+  assert.equal(
+    counts.reduce((sum, count) => sum + count, 0),
+    12994800,
+  );
+  assert.deepEqual(counts, HAND_DISTRIBUTION);
+});
+
+test("the impossible scores are the totals no hand makes", () => {
+  const counts = countScoreDistribution(false);
+  const impossible = counts
+    .map((count, total) => (count === 0 ? total : null))
+    .filter((total) => total !== null);
+  assert.deepEqual(impossible, IMPOSSIBLE_SCORES);
+});
+
+test(
+  "scoreHand reproduces the published hand score distribution",
+  { skip: process.env.SKIP_EXHAUSTIVE === "1", timeout: 30 * 60 * 1000 },
+  () => {
+    const counts = new Array(HAND_DISTRIBUTION.length).fill(0);
+    forEachHandAndCut((cards) => {
+      counts[scoreHand(cards, false).total]++;
+    });
+    assert.deepEqual(counts, HAND_DISTRIBUTION);
+  },
+);
+
+test(
+  "score breakdowns come from real hands and account for every hand",
+  { skip: process.env.SKIP_EXHAUSTIVE === "1", timeout: 30 * 60 * 1000 },
+  () => {
+    const breakdowns = collectScoreBreakdowns(false);
+    const counts = new Array(HAND_DISTRIBUTION.length).fill(0);
+
+    breakdowns.forEach(({ total, parts, count, example }) => {
+      counts[total] += count;
+      const score = scoreHand(example.map(parseCard), false);
+      assert.equal(score.total, total);
+      assert.deepEqual(getBreakdownParts(score), parts);
+    });
+
+    assert.deepEqual(counts, HAND_DISTRIBUTION);
+    IMPOSSIBLE_SCORES.forEach((impossible) => {
+      assert.ok(!breakdowns.some(({ total }) => total === impossible));
+    });
+  },
+);
@@ -0,0 +1,15 @@
+// Shared helpers for the scoring tests
+
+const { parseCardList } = require("../cribEngine.js");
+
+// "5s 5h 5d jc | 5c" -> [5♠, 5♥, 5♦, J♣, 5♣] with the cut last; raise the
+// hand size for a six-card deal
+function cards(text, handSize = 4) {
+  const { hand, cut, errors } = parseCardList(text, handSize);
+  if (errors.length > 0) {
+    throw new Error(`Bad test hand "${text}": ${errors.join("; ")}`);
+  }
+  return cut ? [...hand, cut] : hand;
+}
+
+module.exports = { cards };
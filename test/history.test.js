@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+// Load historyPart.js over the engine, with just enough of a page to import
+// a file: the status line and error messages are recorded
+function loadHistoryPart() {
+  const status = { textContent: "" };
+  const context = {
+    ...require("../cribI18n.js"),
+    ...require("../cribEngine.js"),
+    errors: [],
+    document: {
+      addEventListener: () => {},
+      getElementById: (id) => (id === "historyImportStatus" ? status : null),
+    },
+  };
+  context.showError = (message) => context.errors.push(message);
+  vm.createContext(context);
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", "historyPart.js"), "utf8"),
+    context,
+  );
+  context.renderHistory = () => {};
+
+  return {
+    importJson: (rows) =>
+      vm.runInContext("importHistoryText", context)(
+        JSON.stringify(rows),
+        "history.json",
+      ),
+    entries: () => vm.runInContext("historyEntries", context),
+    getStats: (entries) => vm.runInContext("getHistoryStats", context)(entries),
+    status,
+    errors: context.errors,
+  };
+}
+
+const VALID = {
+  time: "2026-01-02T03:04:05.000Z",
+  player: "Ann",
+  mode: "crib",
+  rules: { id: "standard", cribFourFlush: true, hisHeels: false },
+  hand: ["2h", "4h", "6h", "8h"],
+  cut: "kd",
+  session: "",
+};
+
+test("importing skips malformed entries instead of throwing", () => {
+  const history = loadHistoryPart();
+  history.importJson([
+    VALID,
+    { ...VALID, hand: undefined },
+    { ...VALID, hand: "2h 4h 6h 8h" },
+    { ...VALID, hand: [2, 4, 6, 8] },
+    { ...VALID, cut: null },
+    { ...VALID, cut: { rank: "K" } },
+    { ...VALID, rules: "standard" },
+    { ...VALID, rules: { id: "toString" } },
+    null,
+    42,
+  ]);
+
+  assert.deepEqual(history.errors, []);
+  assert.equal(history.entries().length, 1);
+  assert.equal(
+    history.status.textContent,
+    "Imported 1 hand (9 skipped as invalid or already here)",
+  );
+});
+
+test("an imported entry only sets the house rules", () => {
+  const history = loadHistoryPart();
+  history.importJson([
+    {
+      ...VALID,
+      mode: "hand",
+      rules: { id: "standard", hisHeels: true, handSize: 5, lowball: true },
+    },
+  ]);
+
+  const [entry] = history.entries();
+  assert.deepEqual(
+    { ...entry.rules },
+    { id: "standard", cribFourFlush: false, hisHeels: true },
+  );
+  // Scored as a four-card hand, flush and all
+  assert.equal(entry.total, 4);
+});
+
+test("a file that isn't a history export is reported", () => {
+  const history = loadHistoryPart();
+  history.importJson({ hand: ["2h"] });
+  assert.deepEqual(history.errors, ["history.json isn't a history export"]);
+});
+
+test("stats count each entry by its own ruleset", () => {
+  const history = loadHistoryPart();
+  const entry = (id, total) => ({ mode: "hand", rules: { id }, total });
+  const stats = history.getStats([
+    entry("standard", 12),
+    entry("standard", 0),
+    entry("lowball", 2),
+    entry("lowball", 9),
+  ]);
+  assert.equal(stats.bestHand, 12);
+  assert.equal(stats.bestLowballHand, 2);
+  assert.equal(stats.mondors, 1);
+  assert.equal(history.getStats([entry("standard", 5)]).bestLowballHand, null);
+});
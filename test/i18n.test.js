@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  getLanguage,
+  setLanguage,
+  matchLanguage,
+  t,
+  formatCardLabel,
+  localizeCardText,
+} = require("../cribI18n.js");
+const { getCardName, describeScore, scoreHand } = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+// Run a check in another language, always switching back to English
+function inLanguage(lang, check) {
+  assert.ok(setLanguage(lang));
+  try {
+    check();
+  } finally {
+    setLanguage(DEFAULT_LANGUAGE);
+  }
+}
+
+test("every language translates every English message", () => {
+  const keys = Object.keys(MESSAGES.en);
+  Object.keys(LANGUAGES).forEach((lang) => {
+    const missing = keys.filter((key) => !(key in MESSAGES[lang]));
+    assert.deepEqual(missing, [], lang);
+  });
+});
+
+test("plural messages are picked by count", () => {
+  assert.equal(t("hand.heading", { count: 1 }), "Hand (1 card)");
+  assert.equal(t("hand.heading", { count: 4 }), "Hand (4 cards)");
+  // French treats zero as singular
+  inLanguage("fr", () => {
+    assert.match(t("history.imported", { count: 0 }), /0 main\b/);
+    assert.match(t("history.imported", { count: 2 }), /2 mains\b/);
+  });
+});
+
+test("missing messages fall back to English, then to the key", () => {
+  inLanguage("de", () => {
+    MESSAGES.de["test.only"] = undefined;
+    MESSAGES.en["test.only"] = "Only in English";
+    try {
+      assert.equal(t("test.only"), "Only in English");
+    } finally {
+      delete MESSAGES.de["test.only"];
+      delete MESSAGES.en["test.only"];
+    }
+  });
+  assert.equal(t("no.such.key"), "no.such.key");
+});
+
+test("numbers are formatted for the language", () => {
+  assert.ok(t("dist.allHands", { count: 12994800 }).includes("12,994,800"));
+  inLanguage("de", () => {
+    assert.ok(t("dist.allHands", { count: 12994800 }).includes("12.994.800"));
+  });
+});
+
+test("setLanguage rejects unknown languages", () => {
+  assert.equal(setLanguage("xx"), false);
+  assert.equal(getLanguage(), DEFAULT_LANGUAGE);
+});
+
+test("matchLanguage picks the first supported preference", () => {
+  assert.equal(matchLanguage(["es-ES", "fr-CA", "de"]), "fr");
+  assert.equal(matchLanguage(["DE-at"]), "de");
+  assert.equal(matchLanguage(["ja"]), "en");
+  assert.equal(matchLanguage(undefined), "en");
+});
+
+test("rank letters and card names are localized", () => {
+  const king = { rank: "K", suit: "♥" };
+  assert.equal(formatCardLabel(king), "K♥");
+  assert.equal(getCardName(king), "king of hearts");
+  inLanguage("fr", () => {
+    assert.equal(formatCardLabel(king), "R♥");
+    assert.equal(localizeCardText("J♠"), "V♠");
+    assert.equal(getCardName(king), "roi de cœur");
+  });
+  inLanguage("de", () => {
+    assert.equal(localizeCardText("J♠"), "B♠");
+    assert.equal(localizeCardText("10♣"), "10♣");
+  });
+});
+
+test("score descriptions follow the language", () => {
+  // Pair names are part of the score, so score the hand in each language
+  const pairs = () =>
+    describeScore(scoreHand(cards("ks kh 5d 5c | 2s"), false)).find(
+      (item) => item.category === "pairs",
+    );
+
+  assert.match(pairs().details, /Pair of Ks/);
+  inLanguage("fr", () => {
+    assert.match(pairs().label, /^Paires : 4 points$/);
+    assert.match(pairs().details, /Paire de R/);
+  });
+  assert.match(pairs().label, /^Pairs: 4 points$/);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scoreHand, narrateScore } = require("../cribEngine.js");
+const { setLanguage } = require("../cribI18n.js");
+const { cards } = require("./helpers.js");
+
+function narrate(text, isCrib = false) {
+  return narrateScore(scoreHand(cards(text), isCrib));
+}
+
+test("fifteens run together, everything after them is 'and ...'", () => {
+  assert.equal(
+    narrate("3s 4h 5d 5c | 6s"),
+    "fifteen two, fifteen four, and a pair is six, and a double run of four is fourteen",
+  );
+});
+
+test("pairs of one rank are a pair royal or a double pair royal", () => {
+  assert.equal(
+    narrate("7s 7h 7d 8c | 9s"),
+    "fifteen two, fifteen four, fifteen six, and a pair royal is twelve, " +
+      "and a triple run of three is twenty-one",
+  );
+  assert.match(
+    narrate("5s 5h 5d jc | 5c"),
+    /double pair royal is twenty-eight/,
+  );
+});
+
+test("the running total ends on the score", () => {
+  assert.match(narrate("5s 5h 5d jc | 5c"), /one for his nobs is twenty-nine$/);
+  assert.equal(
+    narrate("as 2s 3s 4s | 5h"),
+    "fifteen two, and a run of five is seven, and a flush of four is eleven",
+  );
+});
+
+test("a hand without fifteens starts with its first score", () => {
+  assert.equal(narrate("2h 4h 6h 8h | jh"), "a flush of five is five");
+});
+
+test("a zero hand is a nineteen", () => {
+  assert.equal(narrate("2s 4h 6d 8c | ks"), "nineteen (not a point)");
+});
+
+test("narration follows the language", () => {
+  setLanguage("de");
+  try {
+    assert.equal(
+      narrate("3s 4h 5d 5c | 6s"),
+      "fünfzehn zwei, fünfzehn vier, und ein Paar macht sechs, " +
+        "und eine doppelte Folge von vier macht vierzehn",
+    );
+  } finally {
+    setLanguage("en");
+  }
+});
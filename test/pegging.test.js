@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCard,
+  formatCard,
+  createRng,
+  scorePeggingPlay,
+  scorePegging,
+  getPlayableCards,
+  getPeggingPlayPoints,
+  choosePeggingPlay,
+  reviewPeggingPlays,
+} = require("../cribEngine.js");
+
+// "5s 10h go 5d" -> pegging events
+function events(text) {
+  return text
+    .split(" ")
+    .map((token) =>
+      token === "go" || token === "pass"
+        ? { type: token }
+        : { type: "card", card: parseCard(token) },
+    );
+}
+
+function pile(text) {
+  return text.split(" ").map(parseCard);
+}
+
+test("fifteen and thirty-one score 2", () => {
+  assert.equal(scorePeggingPlay(pile("7s 8h"), 15).points, 2);
+  assert.equal(scorePeggingPlay(pile("ks qh js as"), 31).points, 2);
+});
+
+test("pairs in sequence score 2, 6 and 12", () => {
+  assert.equal(scorePeggingPlay(pile("4s 4h"), 8).points, 2);
+  assert.equal(scorePeggingPlay(pile("4s 4h 4d"), 12).points, 6);
+  assert.equal(scorePeggingPlay(pile("4s 4h 4d 4c"), 16).points, 12);
+  // A card in between breaks the pair
+  assert.equal(scorePeggingPlay(pile("4s 2h 4d"), 10).points, 0);
+});
+
+test("runs count the last cards in any order", () => {
+  assert.deepEqual(scorePeggingPlay(pile("3s 5h 4d"), 12).reasons, [
+    { label: "Run of 3", points: 3 },
+  ]);
+  assert.equal(scorePeggingPlay(pile("6s 3s 5h 4d"), 18).points, 4);
+  // A repeated rank inside the tail breaks the run
+  assert.equal(scorePeggingPlay(pile("3s 4h 4d 5c"), 16).points, 0);
+});
+
+test("players alternate and the count resets at 31", () => {
+  const result = scorePegging(events("10s 5h 10d 6c as 2s"));
+  assert.deepEqual(
+    result.plays.map((p) => [p.player, p.count, p.points]),
+    [
+      [0, 10, 0],
+      [1, 15, 2],
+      [0, 25, 0],
+      [1, 31, 2],
+      [0, 1, 0],
+      [1, 3, 0],
+    ],
+  );
+  assert.deepEqual(result.scores, [0, 4]);
+});
+
+test("go passes the turn and the last player pegs 1", () => {
+  const result = scorePegging(events("ks qh jd go go as 3h 2h"));
+  // Pone played JD last before both said go
+  assert.deepEqual(result.plays[4].awarded, {
+    player: 0,
+    reasons: [{ label: "Go", points: 1 }],
+  });
+  // Dealer leads after the go
+  assert.equal(result.plays[5].player, 1);
+  assert.equal(result.plays[7].points, 3); // A 3 2 run
+});
+
+test("last card pegs 1 once the play is complete", () => {
+  const played = "10s 5h 10d 5c 4s 3h 2d 6c";
+  assert.equal(scorePegging(events(played)), null); // 4s takes it past 31
+  const result = scorePegging(events("10s 5h 10d go 5c as 2d 3c"), true);
+  const { reasons } = result.plays[result.plays.length - 1];
+  assert.deepEqual(reasons[reasons.length - 1], {
+    label: "Last card",
+    points: 1,
+  });
+});
+
+test("invalid sequences return null", () => {
+  assert.equal(scorePegging(events("go")), null);
+  assert.equal(scorePegging(events("ks qh jd 5c")), null);
+});
+
+test("a pass hands the lead to the player with cards left", () => {
+  const result = scorePegging(events("ks qh as go go pass 2c"));
+  assert.equal(result.plays[5].type, "pass");
+  assert.equal(result.plays[6].player, 0);
+  assert.equal(scorePegging(events("ks pass")), null);
+});
+
+test("only cards that fit under 31 are playable", () => {
+  const playable = getPlayableCards(events("ks qh 5d"), pile("as jd 9c 2h"));
+  assert.deepEqual(playable.map(formatCard), ["A♠", "2♥"]);
+  assert.equal(getPeggingPlayPoints(events("10s"), parseCard("5h")), 2);
+  assert.equal(getPeggingPlayPoints(events("ks qh 5d"), parseCard("jd")), null);
+});
+
+test("every strategy says go when nothing fits", () => {
+  ["random", "greedy", "lookahead"].forEach((strategy) => {
+    assert.equal(
+      choosePeggingPlay(events("ks qh 5d"), pile("jd 9c"), strategy),
+      null,
+    );
+  });
+  const rng = createRng(1);
+  const hand = pile("jd as 9c 2h");
+  for (let i = 0; i < 20; i++) {
+    const card = choosePeggingPlay(events("ks qh 5d"), hand, "random", { rng });
+    assert.ok(["A♠", "2♥"].includes(formatCard(card)));
+  }
+});
+
+test("greedy takes the most points now", () => {
+  const card = choosePeggingPlay(events("10s 2h 3h"), pile("3s 4c"), "greedy");
+  assert.equal(formatCard(card), "4♣"); // a run of 3 beats a pair
+});
+
+test("lookahead doesn't leave a 5 or a 21", () => {
+  // Greedy sees no points either way and lays the first card
+  assert.equal(
+    formatCard(choosePeggingPlay([], pile("5h 4s"), "greedy")),
+    "5♥",
+  );
+  assert.equal(
+    formatCard(choosePeggingPlay([], pile("5h 4s"), "lookahead")),
+    "4♠",
+  );
+  assert.equal(
+    formatCard(choosePeggingPlay(events("10s 6h"), pile("5d 4c"), "lookahead")),
+    "4♣",
+  );
+  // ...but still takes points when they're there
+  assert.equal(
+    formatCard(choosePeggingPlay(events("10s"), pile("4s 5h"), "lookahead")),
+    "5♥",
+  );
+});
+
+test("the review lists plays that pegged less than the best card held", () => {
+  const played = events("10h 2s 3d");
+  assert.deepEqual(reviewPeggingPlays(played, 1, pile("2s 5c")), [
+    {
+      index: 1,
+      card: parseCard("2s"),
+      count: 10,
+      points: 0,
+      best: { card: parseCard("5c"), points: 2 },
+    },
+  ]);
+  assert.deepEqual(reviewPeggingPlays(played, 0, pile("10h 3d")), []);
+});
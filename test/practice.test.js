@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DECK,
+  formatCard,
+  createRng,
+  shuffleDeck,
+  isHardHand,
+  dealPracticeRound,
+  scoreHand,
+} = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+test("shuffleDeck keeps every card exactly once", () => {
+  const deck = shuffleDeck(createRng(7));
+  assert.equal(deck.length, DECK.length);
+  assert.equal(new Set(deck.map(formatCard)).size, DECK.length);
+});
+
+test("the same seed deals the same round", () => {
+  const round = (seed, hardOnly) =>
+    dealPracticeRound(seed, hardOnly).cards.map(formatCard).join(" ");
+
+  assert.equal(round(12345), round(12345));
+  assert.notEqual(round(12345), round(54321));
+  assert.equal(round(12345, true), round(12345, true));
+});
+
+test("hard hands only deals hard hands", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const { score } = dealPracticeRound(seed, true);
+    assert.ok(isHardHand(score), `seed ${seed}`);
+  }
+});
+
+test("isHardHand spots double runs, many fifteens and trips", () => {
+  assert.ok(isHardHand(scoreHand(cards("4s 4h 5d 6c | ks"))));
+  assert.ok(isHardHand(scoreHand(cards("5s ks qh jd | tc"))));
+  assert.ok(isHardHand(scoreHand(cards("9s 9h 9d 2c | ks"))));
+  assert.ok(!isHardHand(scoreHand(cards("as 2s 3s 4s | 8h"))));
+});
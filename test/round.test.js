@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RULESETS, parseCard, scoreRound } = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+function round(pone, dealer, crib, cut) {
+  return [
+    { pone: cards(pone), dealer: cards(dealer), crib: cards(crib) },
+    parseCard(cut),
+  ];
+}
+
+test("scoreRound scores each hand against the shared cut", () => {
+  const result = scoreRound(
+    ...round("5s 5h 5d jc", "2h 4h 6h 8h", "ah 3h 7h 9h", "5c"),
+  );
+  assert.equal(result.pone.total, 29);
+  assert.equal(result.dealer.total, 11);
+  assert.equal(result.crib.total, 4);
+  assert.deepEqual(result.totals, { pone: 29, dealer: 15 });
+});
+
+test("the crib is scored as a crib", () => {
+  // A four-card flush counts in a hand but not in the crib...
+  const [hands, cut] = round("2h 4h 6h 8h", "as 3s 7d 9c", "2c 4c 6c 8c", "kd");
+  const result = scoreRound(hands, cut);
+  assert.equal(result.pone.total, 4);
+  assert.equal(result.crib.total, 0);
+  // ...unless the house rule says so
+  const flush4 = scoreRound(hands, cut, {
+    ...RULESETS.standard,
+    cribFourFlush: true,
+  });
+  assert.equal(flush4.crib.total, 4);
+});
+
+test("scoreRound needs thirteen different cards", () => {
+  const [hands, cut] = round("5s 5h 5d jc", "2h 4h 6h 8h", "ah 3h 7h 9h", "5c");
+  assert.equal(
+    scoreRound({ ...hands, crib: hands.crib.slice(0, 3) }, cut),
+    null,
+  );
+  assert.equal(scoreRound(hands, null), null);
+  assert.equal(scoreRound(hands, parseCard("2h")), null);
+  assert.equal(
+    scoreRound(
+      { ...hands, dealer: [...hands.dealer.slice(0, 3), hands.pone[0]] },
+      cut,
+    ),
+    null,
+  );
+});
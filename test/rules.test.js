@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  RULESETS,
+  getRuleset,
+  formatCard,
+  parseCardList,
+  scoreHand,
+  getScorePercentile,
+} = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+const { standard, fiveCard } = RULESETS;
+
+test("getRuleset only knows the presets' own ids", () => {
+  assert.equal(getRuleset("lowball"), RULESETS.lowball);
+  ["toString", "__proto__", "constructor", "", undefined].forEach((id) => {
+    assert.equal(getRuleset(id), null, String(id));
+  });
+});
+
+test("every preset changes a rule of the standard game", () => {
+  const rulesOf = ({ id, name, ...rules }) => rules;
+  Object.values(RULESETS)
+    .filter((preset) => preset !== standard)
+    .forEach((preset) => {
+      assert.notDeepEqual(rulesOf(preset), rulesOf(standard), preset.id);
+    });
+});
+
+test("five-card hands are three cards and a cut", () => {
+  const score = scoreHand(cards("5s 5h js | 5c"), false, fiveCard);
+  assert.equal(score.fifteens.points, 8);
+  assert.equal(score.pairs.points, 6);
+  assert.equal(score.total, 14);
+
+  assert.equal(scoreHand(cards("5s 5h 5d js | 5c"), false, fiveCard), null);
+  assert.equal(scoreHand(cards("5s 5h js | 5c"), false, standard), null);
+});
+
+test("five-card cribs still hold four cards", () => {
+  assert.equal(
+    scoreHand(cards("5s 5h 5d jc | 5c"), true, fiveCard).total,
+    scoreHand(cards("5s 5h 5d jc | 5c"), true, standard).total,
+  );
+});
+
+test("a three-card flush scores 3, or 4 with the cut", () => {
+  assert.equal(
+    scoreHand(cards("2s 4s 8s | kh"), false, fiveCard).flush.points,
+    3,
+  );
+  assert.equal(
+    scoreHand(cards("2s 4s 8s | ks"), false, fiveCard).flush.points,
+    4,
+  );
+});
+
+test("cribFourFlush lets a crib flush count without the cut", () => {
+  const rules = { ...standard, cribFourFlush: true };
+  assert.equal(
+    scoreHand(cards("2s 4s 6s 8s | kh"), true, rules).flush.points,
+    4,
+  );
+  assert.equal(scoreHand(cards("2s 4s 6s 8s | kh"), true).flush.points, 0);
+  assert.equal(
+    scoreHand(cards("2s 4s 6s 8s | ks"), true, rules).flush.points,
+    5,
+  );
+});
+
+test("hisHeels adds 2 to the crib when a jack is cut", () => {
+  const rules = { ...standard, hisHeels: true };
+  const crib = scoreHand(cards("2s 4h 6d 8c | jh"), true, rules);
+  assert.deepEqual(crib.heels, { points: 2, card: "J♥" });
+  assert.equal(crib.total, 2);
+
+  assert.equal(scoreHand(cards("2s 4h 6d 8c | jh"), false, rules).total, 0);
+  assert.equal(scoreHand(cards("2s 4h 6d 8c | jh"), true).total, 0);
+});
+
+test("lowball percentiles count the hands scoring more", () => {
+  assert.equal(getScorePercentile([1, 2, 3], 1, true), 50);
+  assert.equal(getScorePercentile([1, 2, 3], 2, true), 0);
+  assert.equal(getScorePercentile([1, 2, 3], 0, true), (5 / 6) * 100);
+});
+
+test("parseCardList takes the cut after a short hand", () => {
+  const { hand, cut, errors } = parseCardList("5s 5h js 5c", 3);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(hand.map(formatCard), ["5♠", "5♥", "J♠"]);
+  assert.equal(formatCard(cut), "5♣");
+  assert.deepEqual(parseCardList("5s 5h js 5c | 5d", 3).errors, [
+    "A hand has 3 cards, got 4",
+  ]);
+});
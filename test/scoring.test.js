@@ -0,0 +1,212 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  scoreFifteens,
+  scorePairs,
+  scoreRuns,
+  scoreFlush,
+  scoreNobs,
+  scoreHand,
+  describeScore,
+  compareClaim,
+} = require("../cribEngine.js");
+const { cards } = require("./helpers.js");
+
+test("fifteens count every combination summing to 15", () => {
+  assert.equal(scoreFifteens(cards("5s ks 2h 3d | 9c")).points, 4);
+  assert.equal(scoreFifteens(cards("5s 5h 5d ks | kh")).points, 14);
+  assert.equal(scoreFifteens(cards("as 2h 3d 4c | 5s")).points, 2);
+  assert.equal(scoreFifteens(cards("2s 4h 6d 8c | ks")).points, 0);
+});
+
+test("fifteens treat face cards as 10", () => {
+  const { points, combinations } = scoreFifteens(cards("5s js qh kd | 2c"));
+  assert.equal(points, 6);
+  assert.deepEqual(combinations, [
+    ["5♠", "J♠"],
+    ["5♠", "Q♥"],
+    ["5♠", "K♦"],
+  ]);
+});
+
+test("pairs score 2, 6 and 12 for two, three and four of a kind", () => {
+  assert.deepEqual(scorePairs(cards("5s 5h 2d 9c | ks")), {
+    points: 2,
+    pairs: ["Pair of 5s"],
+    combinations: [["5♠", "5♥"]],
+  });
+  assert.equal(scorePairs(cards("5s 5h 5d 9c | ks")).points, 6);
+  assert.equal(scorePairs(cards("5s 5h 5d 5c | ks")).points, 12);
+  assert.equal(scorePairs(cards("5s 5h 9d 9c | ks")).points, 4);
+  assert.equal(scorePairs(cards("as 2h 3d 4c | 6s")).points, 0);
+});
+
+test("three of a kind lists each of its three pairs", () => {
+  assert.deepEqual(scorePairs(cards("5s 5h 5d 9c | ks")).combinations, [
+    ["5♠", "5♥"],
+    ["5♠", "5♦"],
+    ["5♥", "5♦"],
+  ]);
+});
+
+test("runs score the longest run only", () => {
+  assert.equal(scoreRuns(cards("as 2h 3d 9c | ks")).points, 3);
+  assert.equal(scoreRuns(cards("as 2h 3d 4c | ks")).points, 4);
+  assert.equal(scoreRuns(cards("as 2h 3d 4c | 5s")).points, 5);
+  assert.equal(scoreRuns(cards("9s 10h jd qc | ks")).points, 5);
+  // Ace is low only
+  assert.equal(scoreRuns(cards("qs kh as 2c | 7s")).points, 0);
+});
+
+test("duplicated ranks multiply the run", () => {
+  // Double run of three
+  assert.deepEqual(scoreRuns(cards("3s 3h 4d 5c | ks")).runs, [
+    {
+      length: 3,
+      multiplier: 2,
+      cards: ["3♠", "3♥", "4♦", "5♣"],
+      combinations: [
+        ["3♠", "4♦", "5♣"],
+        ["3♥", "4♦", "5♣"],
+      ],
+    },
+  ]);
+  assert.equal(scoreRuns(cards("3s 3h 4d 5c | ks")).points, 6);
+  // Triple run of three
+  assert.equal(scoreRuns(cards("3s 3h 3d 4c | 5s")).points, 9);
+  // Double-double run
+  assert.equal(scoreRuns(cards("3s 3h 4d 4c | 5s")).points, 12);
+  // Double run of four
+  assert.equal(scoreRuns(cards("3s 3h 4d 5c | 6s")).points, 8);
+});
+
+test("a double-double run lists all four runs", () => {
+  const [run] = scoreRuns(cards("3s 3h 4d 4c | 5s")).runs;
+  assert.deepEqual(run.combinations, [
+    ["3♠", "4♦", "5♠"],
+    ["3♠", "4♣", "5♠"],
+    ["3♥", "4♦", "5♠"],
+    ["3♥", "4♣", "5♠"],
+  ]);
+});
+
+test("a run of four with a pair is a double run of four, not extra threes", () => {
+  const score = scoreHand(cards("7s 8h 9d 10c | 10s"));
+  assert.equal(score.runs.points, 8);
+  assert.equal(score.pairs.points, 2);
+  assert.equal(score.runs.runs.length, 1);
+});
+
+test("a run of five cannot also hold a pair", () => {
+  const score = scoreHand(cards("as 2h 3d 4c | 5s"));
+  assert.equal(score.runs.points, 5);
+  assert.equal(score.pairs.points, 0);
+  assert.equal(score.runs.runs[0].multiplier, 1);
+});
+
+test("hand flush scores 4, or 5 with the cut", () => {
+  assert.equal(scoreFlush(cards("2s 4s 6s 8s | kh"), false).points, 4);
+  assert.equal(scoreFlush(cards("2s 4s 6s 8s | ks"), false).points, 5);
+  assert.equal(scoreFlush(cards("2s 4s 6s 8h | ks"), false).points, 0);
+});
+
+test("a flush reports the cards it is made of", () => {
+  assert.deepEqual(scoreFlush(cards("2s 4s 6s 8s | kh"), false).cards, [
+    "2♠",
+    "4♠",
+    "6♠",
+    "8♠",
+  ]);
+  assert.equal(scoreFlush(cards("2s 4s 6s 8s | ks"), false).cards.length, 5);
+});
+
+test("crib flush needs all five cards", () => {
+  assert.equal(scoreFlush(cards("2s 4s 6s 8s | kh"), true).points, 0);
+  assert.equal(scoreFlush(cards("2s 4s 6s 8s | ks"), true).points, 5);
+  assert.equal(scoreFlush(cards("2s 4s 6h 8s | ks"), true).points, 0);
+});
+
+test("nobs is a jack in hand matching the cut suit", () => {
+  assert.deepEqual(scoreNobs(cards("js 2h 4d 6c | ks")), {
+    points: 1,
+    card: "J♠",
+    cards: ["J♠", "K♠"],
+  });
+  assert.equal(scoreNobs(cards("jh 2h 4d 6c | ks")).points, 0);
+  // A jack cut is his heels (pegged by the dealer), not nobs
+  assert.equal(scoreNobs(cards("2s 4h 6d 8c | js")).points, 0);
+});
+
+test("nobs finds a matching jack even when another jack comes first", () => {
+  assert.deepEqual(scoreNobs(cards("js jh 4d 6c | kh")), {
+    points: 1,
+    card: "J♥",
+    cards: ["J♥", "K♥"],
+  });
+});
+
+test("nobs needs a cut card", () => {
+  assert.equal(scoreNobs(cards("js 2h 4d 6c")).points, 0);
+  assert.equal(scoreHand(cards("js 2h 4d 6c")), null);
+});
+
+test("scoreHand rejects anything but five cards", () => {
+  assert.equal(scoreHand(null), null);
+  assert.equal(scoreHand([]), null);
+  assert.equal(scoreHand(cards("as 2h 3d 4c 5s").concat(cards("6s"))), null);
+  assert.equal(scoreHand([...cards("as 2h 3d 4c"), null]), null);
+});
+
+test("scoreHand totals well-known hands", () => {
+  const totals = [
+    ["5s 5h 5d jc | 5c", false, 29],
+    ["5s 5h 5d 5c | jc", false, 28],
+    ["3s 3h 4s 5s | 6s", false, 14],
+    ["3s 3h 3d 4s | 5s", false, 21],
+    ["4s 4h 5d 6c | 6s", false, 24],
+    ["7s 7h 8d 8c | 9s", false, 24],
+    ["2s 4h 6d 8c | ks", false, 0],
+    ["as 2s 3s 4s | 5h", false, 11],
+    ["as 2s 3s 4s | 5h", true, 7],
+    ["as 2s 3s 4s | 5s", true, 12],
+  ];
+  totals.forEach(([text, isCrib, total]) => {
+    assert.equal(scoreHand(cards(text), isCrib).total, total, text);
+  });
+});
+
+test("describeScore claims add up to the total", () => {
+  ["5s 5h 5d jc | 5c", "3s 3h 4d 4c | 5s", "2h 4h 6h 8h | 5h"].forEach(
+    (text) => {
+      const score = scoreHand(cards(text));
+      const claimed = describeScore(score)
+        .flatMap((item) => item.claims)
+        .reduce((sum, claim) => sum + claim.points, 0);
+      assert.equal(claimed, score.total, text);
+    },
+  );
+});
+
+test("compareClaim splits a claim into missed and over-claimed points", () => {
+  const score = scoreHand(cards("5s 5h 5d jc | 5c"));
+  const result = compareClaim(score, { fifteens: 16, pairs: 12, runs: 2 });
+
+  assert.equal(result.claimed, 30);
+  assert.equal(result.missed, 1);
+  assert.equal(result.overClaimed, 2);
+  assert.deepEqual(
+    result.categories.map(({ category, missed, overClaimed }) => [
+      category,
+      missed,
+      overClaimed,
+    ]),
+    [
+      ["fifteens", 0, 0],
+      ["pairs", 0, 0],
+      ["runs", 0, 2],
+      ["flush", 0, 0],
+      ["nobs", 1, 0],
+      ["heels", 0, 0],
+    ],
+  );
+});
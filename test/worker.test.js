@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const {
+  RULESETS,
+  encodeCard,
+  scoreHands,
+  createRng,
+  shuffleDeck,
+} = require("../cribEngine.js");
+
+const ROOT = path.join(__dirname, "..");
+
+// Load scoreWorker.js as a worker would and return a function that sends it
+// a message and collects everything it posts back
+function loadWorker() {
+  let onMessage;
+  const context = {
+    self: {
+      postMessage: (message) => context.posted.push(message),
+      addEventListener: (type, listener) => {
+        onMessage = listener;
+      },
+    },
+    posted: [],
+  };
+  context.importScripts = (...files) =>
+    files.forEach((file) =>
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context),
+    );
+  vm.createContext(context);
+  vm.runInContext(
+    fs.readFileSync(path.join(ROOT, "scoreWorker.js"), "utf8"),
+    context,
+  );
+
+  return (data) => {
+    context.posted = [];
+    onMessage({ data });
+    return context.posted;
+  };
+}
+
+test("the worker scores a batch of hands with progress", () => {
+  const send = loadWorker();
+  const rng = createRng(11);
+  const hands = Array.from({ length: 70000 }, () =>
+    shuffleDeck(rng).slice(0, 5).map(encodeCard),
+  );
+
+  const posted = send({
+    type: "scoreHands",
+    id: 1,
+    hands,
+    isCrib: false,
+    rules: RULESETS.standard,
+  });
+  const progress = posted.filter((message) => message.type === "progress");
+  assert.deepEqual(
+    progress.map(({ id, done, total }) => [id, done, total]),
+    [
+      [1, 65536, 70000],
+      [1, 70000, 70000],
+    ],
+  );
+
+  const { type, id, result } = posted[posted.length - 1];
+  assert.equal(type, "result");
+  assert.equal(id, 1);
+  assert.deepEqual([...result], [...scoreHands(hands)]);
+});
+
+test("the worker answers a task that throws with an error", () => {
+  const send = loadWorker();
+  const [reply] = send({ type: "scoreHands", id: 2, hands: null });
+  assert.equal(reply.type, "error");
+  assert.equal(reply.id, 2);
+  assert.equal(typeof reply.message, "string");
+});